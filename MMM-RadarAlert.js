@@ -20,11 +20,21 @@ Module.register("MMM-RadarAlert", {
        - "nws"       : NWS GIF loop (fixed extent)
        - "rainviewer": Static-image animation (no basemap)
        - "leaflet"   : Leaflet basemap + RainViewer overlay (zoomable)
+       - any name from radarSources below
+       Per-region override: region.radarProvider
     */
     radarProvider: "leaflet",
 
+    /* Extra radar sources drawn over the Leaflet basemap, keyed by provider name:
+       { type: "xyz", url: "https://host/{time}/{z}/{x}/{y}.png", time: { count, step, delay } }
+       { type: "wms", url: "https://host/wms", layers: "nexrad-n0r", time: { count, step, delay } }
+       time (minutes): count frames, step apart, latest one delay behind now; omit for a single live layer.
+       Optional: attribution, legend (image URL or [{ color, label }]), subdomains, format, styles, version */
+    radarSources: {},
+
     /* NWS */
     alertApiTemplateNWS: "https://api.weather.gov/alerts/active/zone/{region}",
+    alertApiTemplateNWSPoint: "https://api.weather.gov/alerts/active?point={lat},{lon}", // regions with lat/lon but no zone
     radarUrlTemplateNWS: "https://radar.weather.gov/ridge/standard/{radarSite}_loop.gif",
 
     /* RainViewer meta */
@@ -39,7 +49,21 @@ Module.register("MMM-RadarAlert", {
       smooth: 1,
       snow: 0,
       opacity: 0.9,
-      frameInterval: 400
+      frameInterval: 400,
+      timeline: true,          // frame time, progress bar and nowcast marking over the map
+      latestFrameDwell: 2000,  // extra ms to hold the latest observed frame each loop
+      frameLoadTimeout: 8000,  // a frame still loading after this is skipped until it finishes
+      metaRefresh: 5 * 60 * 1000, // how often to look for new RainViewer frames
+      drawAlertPolygons: true, // warning polygon, or affected zone outlines when there is none
+      fitToAlert: false,       // fit the map to the polygon instead of region lat/lon/zoom/radiusKm
+      fitToAlertMaxZoom: 11,
+      maxAffectedZones: 12,    // cap on zone shapes fetched per alert
+      motionTrackMinutes: 60,  // how far ahead to draw the projected storm track
+      overviewMaxZoom: 10,     // cap when fitting all regions (overview: true)
+      marker: true,            // dot on the region's lat/lon
+      rangeRings: [],          // distance rings around the region in km, e.g. [10, 25, 50]
+      labelsUrl: null,         // labels-only tiles above the radar, e.g. "https://{s}.basemaps.cartocdn.com/light_only_labels/{z}/{x}/{y}.png"
+      legend: true             // dBZ key for the RainViewer color scheme (or a radar source's own legend)
     },
 
     /* Legacy RainViewer static-image animation (no basemap) */
@@ -51,17 +75,157 @@ Module.register("MMM-RadarAlert", {
     repeatInterval: 5 * 60 * 1000,
     updateInterval: 60 * 1000,
 
-    /* Alerts to react to */
+    /* Alerts to react to (earlier entries rank higher when severity ties).
+       alertTypeMatch "exact" compares whole event names; "contains" treats entries as keywords ("Warning", "Tornado") */
+    alertTypeMatch: "exact",
     alertTypes: ["Tornado Warning", "Severe Thunderstorm Warning", "Severe Thunderstorm Watch", "Tropical Storm Warning", "Hurricane Warning"],
 
+    /* Only keep alerts whose geometry contains the region's lat/lon (or comes within radiusKm).
+       Alerts without geometry (zone-wide watches etc.) always pass. Per-region override: region.requireGeometryMatch */
+    requireGeometryMatch: false,
+
+    /* Overview: with several regions, fit the map to all of them, badge each with its worst alert's color,
+       and draw every alert's polygon. Tap a badge to zoom to that region. (README-era `worldwide` maps here.) */
+    overview: false,
+
+    /* Storm motion (NWS eventMotionDescription): projected track on the map, arrival estimate in the title.
+       Closest approach within motionArrivalKm (or the region's radiusKm, if larger) counts as arriving. */
+    stormMotion: true,
+    motionArrivalKm: 5,
+    units: config.units, // "imperial" → mi/mph, otherwise km and km/h
+
+    /* Lightning: strikes from a JSON/GeoJSON endpoint (polled through node_helper) and/or a websocket feed.
+       Accepts GeoJSON Points or [{ lat, lon, time }] (time: ISO, or epoch s/ms/ns); itemsPath for wrapped lists.
+       Strikes within triggerRadiusKm of a region in the last triggerMinutes open the panel on their own. */
+    lightning: {
+      enabled: false,
+      url: null,
+      websocket: null,         // e.g. "ws://localhost:8090/strikes"; each message one strike or a list
+      itemsPath: null,         // e.g. "data.strikes"
+      pollInterval: 60 * 1000,
+      maxAgeMinutes: 30,       // strikes kept and drawn (fading with age)
+      triggerRadiusKm: 15,
+      triggerMinutes: 10,
+      triggerCount: 1          // strikes needed inside the radius
+    },
+
+    /* Polygon colors by event (NWS map palette); "default" for anything else */
+    alertColors: {
+      "Tornado Warning": "#ff0000",
+      "Tornado Watch": "#ffff00",
+      "Severe Thunderstorm Warning": "#ffa500",
+      "Severe Thunderstorm Watch": "#db7093",
+      "Flash Flood Warning": "#8b0000",
+      "Flood Warning": "#00ff00",
+      "Hurricane Warning": "#dc143c",
+      "Tropical Storm Warning": "#b22222",
+      "Special Marine Warning": "#ffa500",
+      default: "#ff00ff"
+    },
+
+    /* Concurrent alerts: cycle through them while the panel is up, or just show the worst + count */
+    alertCycle: true,
+    alertCycleInterval: 6 * 1000,
+
+    /* Repeats of an alert we've already announced: no sound, steady border.
+       New alerts and updates/upgrades always get the full treatment. */
+    quietRepeats: true,
+
     /* Audio */
+    playSound: true,
     soundFile: "modules/MMM-RadarAlert/alert.mp3",
+    soundVolume: 0.8,
+    soundRepeat: 1,
+    // Per-event overrides, e.g. { "Tornado Warning": { file: "modules/MMM-RadarAlert/siren.mp3", volume: 1, repeat: 3, escalate: true } }
+    alertSounds: {},
+
+    /* Unacknowledged critical alerts keep sounding on every repeat, louder each time.
+       Critical = alertSounds[event].escalate, else severity listed here. Tap to acknowledge. */
+    escalateSeverities: ["Extreme"],
+    escalateVolumeStep: 0.1,
+    escalateMaxVolume: 1.0,
+
+    /* Quiet hours: inside a window, alerts that don't break through show without sound or flashing
+       ("silent"), or as a title-only banner without the map ("compact"), and don't repeat.
+       windows: [{ start: "22:00", end: "07:00", days: [0-6] }] (days optional, 0 = Sunday, day the window starts).
+       Break-through alerts sound at full volume. */
+    quietHours: {
+      enabled: false,
+      windows: [{ start: "22:00", end: "07:00" }],
+      mode: "silent",
+      breakThroughEvents: ["Tornado Warning"],
+      breakThroughSeverities: ["Extreme"]
+    },
+
+    /* Spoken headline (browser speech synthesis): "<event> for <region>, until <time>" */
+    speakAlerts: false,
+    speechLang: null,   // e.g. "en-US"; null = browser default
+    speechVoice: null,  // voice name substring
+    speechRate: 1,
 
     /* Proxy (optional) */
     useProxy: false,
     proxyTTL: 30 * 1000,
 
-    tapToDismiss: true
+    /* Upstream requests made by node_helper. api.weather.gov requires a User-Agent that identifies
+       the app; add a contact (email or URL) so they can reach you instead of blocking you. */
+    userAgent: "MMM-RadarAlert (https://github.com/Agaperu/MMM-RadarAlert)",
+    contact: null,
+    fetchRetries: 3,
+
+    /* Disk cache for basemap/radar tiles and the NWS GIF, served by node_helper.
+       Pre-warms basemap tiles around each region so the map appears instantly. */
+    tileCache: {
+      enabled: true,
+      maxMB: 200,
+      maxAgeDays: 30,    // basemap tiles; radar frames keep 7 days, the NWS loop GIF 2 minutes
+      prewarm: true,
+      prewarmRadius: 2,  // tiles around the centre at zoom-1 .. zoom+1
+      allowHosts: []     // extra upstream hosts the cache may fetch from
+    },
+
+    /* HTTP API (/MMM-RadarAlert/status|test|dismiss|webhook): require X-Api-Key header or ?key= when set */
+    httpApiKey: null,
+
+    tapToDismiss: true,
+
+    /* Always-on status line in the module's position between alerts: "All clear", or the lower-tier
+       products (advisories, statements… anything not in alertTypes) per region with their expiry,
+       plus a small static radar image. The slide-in panel stays for alertTypes. */
+    statusView: {
+      enabled: false,
+      showAllClear: true,
+      maxItems: 6,
+      thumbnail: true,
+      thumbnailUrl: null,        // template with {lat} {lon} {radarSite}; null = latest RainViewer frame
+      thumbnailSize: 256,
+      thumbnailZoom: 6,
+      thumbnailRefresh: 10 * 60 * 1000
+    },
+
+    /* Alert history: node_helper keeps every alert seen (first/last seen, region, event, severity, whether it
+       was shown, acknowledged or snoozed) in cache/history.json, exported at /MMM-RadarAlert/history(.csv).
+       show: a "recent alerts" list under the module between alerts. */
+    history: {
+      enabled: true,
+      maxDays: 30,
+      maxEntries: 2000,
+      show: false,
+      showItems: 8,
+      showHours: 24,
+      showLowTier: false         // also list products not in alertTypes
+    },
+
+    /* Replay a recorded timeline instead of the live feeds, e.g. "simulations/example/timeline.json" or
+       { file, speed, loop }. Also startable with RADAR_ALERT_TEST { simulation: "<file>" } or /MMM-RadarAlert/simulate. */
+    simulation: null,
+
+    /* Name other modules / the HTTP API can target with { instance: "..." } when running several
+       MMM-RadarAlert instances (the module identifier always works too) */
+    instanceName: null,
+
+    /* List config problems (bad types, unknown keys, regions that can never alert) on screen as well as in the log */
+    showConfigProblems: true
   },
 
   /* ---- Load local CSS/Leaflet (put files in vendor/leaflet/) ---- */
@@ -81,6 +245,10 @@ Module.register("MMM-RadarAlert", {
   _isStr(v) { return typeof v === "string"; },
   _nonEmptyString(v) { return (typeof v === "string" && v.trim().length) ? v.trim() : null; },
   _validTileTemplate(url) { return this._isStr(url) && /{z}.*{x}.*{y}/.test(url); },
+  // Feed text (custom sources can say anything) before it goes into innerHTML
+  _esc(v) {
+    return String(v ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" }[c]));
+  },
 
   /* ---------- helpers: merged nested config (ignore undefined/null) ---------- */
   _mergeDefaults(base, override) {
@@ -95,6 +263,422 @@ Module.register("MMM-RadarAlert", {
   },
   _leafletCfg() { return this._mergeDefaults(this.defaults.leaflet, this.config.leaflet); },
   _rainviewerSimpleCfg() { return this._mergeDefaults(this.defaults.rainviewer, this.config.rainviewer); },
+  _tileCacheCfg() { return this._mergeDefaults(this.defaults.tileCache, this.config.tileCache); },
+  _lightningCfg() { return this._mergeDefaults(this.defaults.lightning, this.config.lightning); },
+  _quietCfg() { return this._mergeDefaults(this.defaults.quietHours, this.config.quietHours); },
+  _statusCfg() { return this._mergeDefaults(this.defaults.statusView, this.config.statusView); },
+  _historyCfg() { return this._mergeDefaults(this.defaults.history, this.config.history); },
+
+  // https://host/a/{z}.png → /MMM-RadarAlert/tile/https/host/a/{z}.png (Leaflet placeholders survive)
+  _tileUrl(url) {
+    if (!this._tileCacheCfg().enabled || !this._isStr(url)) return url;
+    const m = url.match(/^(https?):\/\/(.+)$/);
+    return m ? `/MMM-RadarAlert/tile/${m[1]}/${m[2]}` : url;
+  },
+
+  /* ---------- radar provider registry ----------
+     A radar provider is { kind, frames(region, force) => Promise<frame[]>, attribution, legend, interval }.
+     kind "tiles": frames are layers over the Leaflet basemap, { key, url, ts, nowcast, wms? }
+     kind "image": frames are image URLs shown in an <img>, { url, ts }; more than one animates
+     legend is an image URL or [{ color, label }] stops (or a function returning either). */
+  registerRadarProvider(name, provider) {
+    if (!this.radarProviderRegistry) this.radarProviderRegistry = {};
+    this.radarProviderRegistry[name] = provider;
+  },
+
+  _registerDefaultRadarProviders() {
+    this.registerRadarProvider("leaflet", {
+      kind: "tiles",
+      attribution: "Radar: RainViewer",
+      legend: () => this._rainviewerLegend(this._leafletCfg().color),
+      frames: (region, force) => this._rainviewerFrames(force)
+    });
+    this.registerRadarProvider("rainviewer", {
+      kind: "image",
+      attribution: "Radar: RainViewer",
+      legend: () => this._rainviewerLegend(this._rainviewerSimpleCfg().color),
+      interval: this.config.rainviewerFrameInterval,
+      frames: async (region) => (await this.getCenterFrames(region)).map(url => ({ url }))
+    });
+    this.registerRadarProvider("nws", {
+      kind: "image",
+      attribution: "Radar: NOAA/NWS",
+      frames: async (region) => {
+        const site = (region && typeof region === "object" && region.radarSite) ? region.radarSite : "KTLX";
+        return [{ url: this._tileUrl(this.config.radarUrlTemplateNWS.replace("{radarSite}", site)) }];
+      }
+    });
+    for (const [name, src] of Object.entries(this.config.radarSources || {})) {
+      if (!src || !this._nonEmptyString(src.url)) { Log.warn(`${this.name}: radarSources.${name} has no url`); continue; }
+      this.registerRadarProvider(name, (src.type === "wms") ? this._wmsRadarProvider(src) : this._xyzRadarProvider(src));
+    }
+  },
+
+  /* RainViewer color schemes (the API's color param), sampled at 10-dBZ steps.
+     Approximate swatches of RainViewer's published color table, enough for a key. */
+  _rainviewerPalettes: {
+    0: ["#3c3c3c", "#5a5a5a", "#7d7d7d", "#a0a0a0", "#c3c3c3", "#e1e1e1", "#ffffff"], // Black and White
+    1: ["#9ce1fa", "#00aaff", "#00c800", "#ffff00", "#ff5a00", "#c80000", "#ff64ff"], // Original
+    2: ["#88ddee", "#0099cc", "#005588", "#ffee00", "#ff4400", "#c10000", "#ffaaff"], // Universal Blue
+    3: ["#0050a0", "#00a0dc", "#00c800", "#f0f000", "#ff8200", "#dc0000", "#b400b4"], // TITAN
+    4: ["#63b36b", "#1d7a22", "#0f5513", "#ffdc00", "#ff7800", "#e10000", "#ff00ff"], // The Weather Channel
+    5: ["#9ad0f5", "#3f98d9", "#1fbf3f", "#f5e63b", "#f59b23", "#e02a1f", "#a61e8c"], // Meteored
+    6: ["#019ff4", "#02fd02", "#008e00", "#e5bc00", "#fd0000", "#bc0000", "#9854c6"], // NEXRAD Level III
+    7: ["#00ffff", "#0064ff", "#00ff00", "#ffff00", "#ff8000", "#ff0000", "#ff00ff"], // Rainbow @ SELEX-IS
+    8: ["#2a5d9f", "#4a8fd9", "#8c6fd9", "#d45ac6", "#f2466a", "#ff8c2e", "#ffe23a"]  // Dark Sky
+  },
+
+  _rainviewerLegend(color) {
+    const palette = this._rainviewerPalettes[Number.isFinite(color) ? color : 2] || this._rainviewerPalettes[2];
+    return palette.map((c, i) => ({ color: c, label: i === palette.length - 1 ? `${(i + 1) * 10} dBZ` : String((i + 1) * 10) }));
+  },
+
+  _radarProviderName(region) {
+    const name = (region && typeof region === "object" && region.radarProvider) || this.config.radarProvider;
+    return (this.radarProviderRegistry && this.radarProviderRegistry[name]) ? name : "leaflet";
+  },
+  _radarProvider(region) { return this.radarProviderRegistry[this._radarProviderName(region)]; },
+
+  // Frame times (unix seconds, oldest first) for a { count, step, delay } spec in minutes
+  _radarTimeSteps(spec) {
+    const step  = Math.max(1, Number(spec.step) || 5) * 60000;
+    const delay = Math.max(0, Number(spec.delay ?? 10)) * 60000;
+    const count = Math.max(1, Math.min(48, Number(spec.count) || 12));
+    const latest = Math.floor((Date.now() - delay) / step) * step;
+    return Array.from({ length: count }, (_, i) => (latest - (count - 1 - i) * step) / 1000);
+  },
+
+  // {time} unix seconds, {timeMs}, {iso}, or UTC {YYYY}{MM}{DD}{hh}{mm}
+  _fillTimeTemplate(url, ts) {
+    const d = new Date(ts * 1000);
+    const pad = (n) => String(n).padStart(2, "0");
+    return url
+      .replace(/\{time\}/g, String(ts))
+      .replace(/\{timeMs\}/g, String(ts * 1000))
+      .replace(/\{iso\}/g, d.toISOString().replace(/\.\d{3}Z$/, "Z"))
+      .replace(/\{YYYY\}/g, d.getUTCFullYear())
+      .replace(/\{MM\}/g, pad(d.getUTCMonth() + 1))
+      .replace(/\{DD\}/g, pad(d.getUTCDate()))
+      .replace(/\{hh\}/g, pad(d.getUTCHours()))
+      .replace(/\{mm\}/g, pad(d.getUTCMinutes()));
+  },
+
+  // Untimed sources are "latest" images that change under the same URL, so they bypass the tile cache
+  _xyzRadarProvider(src) {
+    const timed = src.time && /\{(time|timeMs|iso|YYYY)\}/.test(src.url);
+    return {
+      kind: "tiles",
+      attribution: src.attribution || null,
+      legend: src.legend || null,
+      frames: async () => {
+        if (!timed) return [{ key: src.url, url: src.url, ts: null, subdomains: src.subdomains }];
+        return this._radarTimeSteps(src.time).map(ts => {
+          const url = this._tileUrl(this._fillTimeTemplate(src.url, ts));
+          return { key: url, url, ts, subdomains: src.subdomains };
+        });
+      }
+    };
+  },
+
+  // WMS, or WMS-T when time is set (TIME=<ISO 8601> per frame)
+  _wmsRadarProvider(src) {
+    const params = {
+      layers: src.layers || "",
+      styles: src.styles || "",
+      format: src.format || "image/png",
+      version: src.version || "1.3.0",
+      transparent: true
+    };
+    return {
+      kind: "tiles",
+      attribution: src.attribution || null,
+      legend: src.legend || null,
+      frames: async () => {
+        if (!src.time) return [{ key: src.url, url: src.url, ts: null, wms: params }];
+        const url = this._tileUrl(src.url);
+        return this._radarTimeSteps(src.time).map(ts => {
+          const time = new Date(ts * 1000).toISOString().replace(/\.\d{3}Z$/, "Z");
+          return { key: `${src.url}|${time}`, url, ts, wms: Object.assign({ time }, params) };
+        });
+      }
+    };
+  },
+
+  _usesLeaflet() {
+    const names = [this.config.radarProvider].concat((this.config.regions || []).map(r => r && r.radarProvider));
+    return names.some(n => n && this.radarProviderRegistry[n] && this.radarProviderRegistry[n].kind === "tiles");
+  },
+
+  /* ---------- config validation ----------
+     Types come from `defaults`; _configRules adds ranges/enums. Legacy keys are migrated in place,
+     fixable values coerced, and anything unusable reset to its default. Problems go to the log and
+     (showConfigProblems) on screen. */
+  _legacyKeys: { displayDuration: "showDuration", alertKeywords: "alertTypes", audioAlert: "playSound" },
+  _legacyRegionKeys: { nwsZone: "zone", radarZoom: "zoom" },
+  _regionKeys: ["name", "zone", "lat", "lon", "zoom", "radiusKm", "radarSite", "radarProvider", "requireGeometryMatch",
+                "meteoAlarmFeed", "meteoAlarmArea", "customAlertSources"],
+  // Maps keyed by data (event names, source names): values checked, keys not
+  _freeFormKeys: ["alertColors", "alertSounds", "radarSources"],
+  _configRules: {
+    alertProviders:           { of: ["nws", "meteoalarm", "custom"] },
+    alertTypeMatch:           { enum: ["exact", "contains"] },
+    showDuration:             { min: 0 },
+    repeatInterval:           { min: 10000 },
+    updateInterval:           { min: 15000 },
+    alertCycleInterval:       { min: 1000 },
+    soundVolume:              { min: 0, max: 1 },
+    escalateMaxVolume:        { min: 0, max: 1 },
+    soundRepeat:              { min: 1 },
+    motionArrivalKm:          { min: 0 },
+    "leaflet.baseUrl":        { tileTemplate: true },
+    "leaflet.opacity":        { min: 0, max: 1 },
+    "leaflet.zoom":           { min: 0, max: 22 },
+    "leaflet.baseMaxZoom":    { min: 0, max: 22 },
+    "leaflet.color":          { min: 0, max: 8 },
+    "leaflet.frameInterval":  { min: 50 },
+    "tileCache.maxMB":        { min: 1 },
+    "quietHours.mode":        { enum: ["silent", "compact"] },
+    "lightning.triggerRadiusKm": { min: 0 },
+    "lightning.pollInterval": { min: 10000 },
+    "history.maxDays":        { min: 1 },
+    "history.maxEntries":     { min: 1 }
+  },
+
+  _configProblem(level, message) {
+    this.configProblems.push({ level, message });
+    (level === "error" ? Log.error : level === "warning" ? Log.warn : Log.info)(`${this.name} config: ${message}`);
+  },
+
+  // "did you mean" for unknown keys: case-insensitive match or edit distance <= 2
+  _closestKey(key, candidates) {
+    const dist = (a, b) => {
+      const d = Array.from({ length: b.length + 1 }, (_, i) => i);
+      for (let i = 1; i <= a.length; i++) {
+        let prev = d[0]; d[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+          const tmp = d[j];
+          d[j] = Math.min(d[j] + 1, d[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+          prev = tmp;
+        }
+      }
+      return d[b.length];
+    };
+    const k = key.toLowerCase();
+    let best = null, bestD = 3;
+    for (const c of candidates) {
+      const dd = dist(k, c.toLowerCase());
+      if (dd < bestD) { best = c; bestD = dd; }
+    }
+    return best;
+  },
+
+  _typeOf(v) { return v === null ? "null" : Array.isArray(v) ? "array" : typeof v; },
+
+  // Check one value against its default's type and any rule; returns the value to keep
+  _checkValue(path, value, def, rule = {}) {
+    const want = this._typeOf(def);
+    let v = value;
+    if (def !== null && def !== undefined && this._typeOf(v) !== want) {
+      if (want === "number" && typeof v === "string" && v.trim() !== "" && Number.isFinite(Number(v))) {
+        v = Number(v);
+        this._configProblem("warning", `${path} should be a number, not the string "${value}"; using ${v}`);
+      } else if (want === "boolean" && (v === "true" || v === "false")) {
+        v = v === "true";
+        this._configProblem("warning", `${path} should be true/false, not the string "${value}"`);
+      } else if (v === null && want !== "object") {
+        return def; // null means "default" for scalars, as in _mergeDefaults
+      } else {
+        this._configProblem("error", `${path} should be ${want === "array" ? "an array" : `a ${want}`}, got ${this._typeOf(value)}; using the default`);
+        return def;
+      }
+    }
+    if (typeof v === "number") {
+      if (Number.isFinite(rule.min) && v < rule.min) { this._configProblem("error", `${path} must be at least ${rule.min}; using ${rule.min}`); v = rule.min; }
+      if (Number.isFinite(rule.max) && v > rule.max) { this._configProblem("error", `${path} must be at most ${rule.max}; using ${rule.max}`); v = rule.max; }
+    }
+    if (rule.enum && !rule.enum.includes(v)) {
+      this._configProblem("error", `${path} must be one of ${rule.enum.map(e => `"${e}"`).join(", ")}; using "${def}"`);
+      return def;
+    }
+    if (rule.of && Array.isArray(v)) {
+      const bad = v.filter(x => !rule.of.includes(x));
+      if (bad.length) this._configProblem("error", `${path}: unknown ${bad.map(b => `"${b}"`).join(", ")} (known: ${rule.of.join(", ")})`);
+      v = v.filter(x => rule.of.includes(x));
+    }
+    if (rule.tileTemplate && !this._validTileTemplate(v)) {
+      this._configProblem("error", `${path} "${v}" is not a {z}/{x}/{y} tile template; using OpenStreetMap`);
+      return def;
+    }
+    return v;
+  },
+
+  _validateConfig() {
+    this.configProblems = [];
+    const c = this.config;
+
+    // README-era keys
+    for (const [oldKey, newKey] of Object.entries(this._legacyKeys)) {
+      if (!(oldKey in c)) continue;
+      if (oldKey === "alertKeywords") {
+        c.alertTypes = [].concat(c.alertKeywords || []);
+        c.alertTypeMatch = "contains";
+        this._configProblem("info", `alertKeywords is now alertTypes with alertTypeMatch: "contains"; migrated`);
+      } else {
+        c[newKey] = c[oldKey];
+        this._configProblem("info", `${oldKey} is now ${newKey}; migrated`);
+      }
+      delete c[oldKey];
+    }
+    if ("worldwide" in c) {
+      if (!("overview" in c) || c.overview === this.defaults.overview) c.overview = !!c.worldwide;
+      this._configProblem("info", "worldwide is now overview; migrated");
+      delete c.worldwide;
+    }
+
+    // Top level: unknown keys, then every known key against its default
+    for (const key of Object.keys(c)) {
+      if (key in this.defaults) continue;
+      const guess = this._closestKey(key, Object.keys(this.defaults));
+      this._configProblem("warning", `unknown option ${key}${guess ? ` (did you mean ${guess}?)` : ""}; ignored`);
+    }
+    for (const [key, def] of Object.entries(this.defaults)) {
+      if (key === "regions" || key === "units" || !(key in c)) continue;
+      if (this._typeOf(def) === "object" && def !== null && !this._freeFormKeys.includes(key)) {
+        if (c[key] === null || c[key] === undefined) { c[key] = def; continue; }
+        if (this._typeOf(c[key]) !== "object") {
+          this._configProblem("error", `${key} should be an object, got ${this._typeOf(c[key])}; using the defaults`);
+          c[key] = def;
+          continue;
+        }
+        for (const sub of Object.keys(c[key])) {
+          if (sub in def) {
+            c[key][sub] = this._checkValue(`${key}.${sub}`, c[key][sub], def[sub], this._configRules[`${key}.${sub}`]);
+          } else {
+            const guess = this._closestKey(sub, Object.keys(def));
+            this._configProblem("warning", `unknown option ${key}.${sub}${guess ? ` (did you mean ${key}.${guess}?)` : ""}; ignored`);
+          }
+        }
+      } else {
+        c[key] = this._checkValue(key, c[key], def, this._configRules[key]);
+      }
+    }
+    for (const [ev, color] of Object.entries(c.alertColors || {})) {
+      if (!this._isStr(color)) this._configProblem("error", `alertColors["${ev}"] should be a color string`);
+    }
+
+    const providers = ["leaflet", "rainviewer", "nws"].concat(Object.keys(c.radarSources || {}));
+    if (!providers.includes(c.radarProvider)) {
+      this._configProblem("error", `radarProvider "${c.radarProvider}" is not one of ${providers.join(", ")}; using "leaflet"`);
+      c.radarProvider = "leaflet";
+    }
+    if (Array.isArray(c.alertTypes) && !c.alertTypes.length) {
+      this._configProblem("warning", "alertTypes is empty, so every alert from the providers will show");
+    }
+
+    this._validateRegions(providers);
+  },
+
+  _validateRegions(providers) {
+    const c = this.config;
+    if (!Array.isArray(c.regions)) {
+      this._configProblem("error", `regions should be an array, got ${this._typeOf(c.regions)}`);
+      c.regions = [];
+    }
+    if (!c.regions.length) this._configProblem("error", "no regions configured; nothing will ever alert");
+
+    const enable = (provider, why) => {
+      if (c.alertProviders.includes(provider)) return;
+      c.alertProviders = c.alertProviders.concat(provider);
+      this._configProblem("info", `${why}; added "${provider}" to alertProviders`);
+    };
+
+    c.regions = c.regions.filter((r, i) => {
+      if (typeof r === "string" && r.trim()) return true; // bare NWS zone
+      if (!r || typeof r !== "object") {
+        this._configProblem("error", `regions[${i}] should be an object or a zone string; skipped`);
+        return false;
+      }
+      const label = r.name ? `region "${r.name}"` : `regions[${i}]`;
+
+      for (const [oldKey, newKey] of Object.entries(this._legacyRegionKeys)) {
+        if (!(oldKey in r)) continue;
+        if (!(newKey in r)) r[newKey] = r[oldKey];
+        delete r[oldKey];
+        this._configProblem("info", `${label}: ${oldKey} is now ${newKey}; migrated`);
+      }
+      if ("radarLatLng" in r) {
+        const ll = r.radarLatLng;
+        if (Array.isArray(ll) && ll.length >= 2 && !("lat" in r) && !("lon" in r)) {
+          r.lat = ll[0]; r.lon = ll[1];
+          this._configProblem("info", `${label}: radarLatLng is now lat/lon; migrated`);
+        } else if (!Array.isArray(ll) || ll.length < 2) {
+          this._configProblem("error", `${label}: radarLatLng should be [lat, lon]`);
+        }
+        delete r.radarLatLng;
+      }
+
+      for (const key of Object.keys(r)) {
+        if (this._regionKeys.includes(key)) continue;
+        const guess = this._closestKey(key, this._regionKeys);
+        this._configProblem("warning", `${label}: unknown option ${key}${guess ? ` (did you mean ${guess}?)` : ""}; ignored`);
+      }
+
+      const num = (key, min, max) => {
+        if (!(key in r) || r[key] === null || r[key] === undefined) return;
+        const v = Number(r[key]);
+        if (r[key] === "" || !Number.isFinite(v) || v < min || v > max) {
+          this._configProblem("error", `${label}: ${key} should be a number from ${min} to ${max}, got ${JSON.stringify(r[key])}; ignored`);
+          delete r[key];
+        } else if (typeof r[key] !== "number") {
+          r[key] = v;
+          this._configProblem("warning", `${label}: ${key} should be a number, not a string`);
+        }
+      };
+      num("lat", -90, 90);
+      num("lon", -180, 180);
+      num("zoom", 0, 22);
+      num("radiusKm", 0.1, 2000);
+      if (("lat" in r) !== ("lon" in r)) this._configProblem("error", `${label}: lat and lon must be set together`);
+      for (const key of ["name", "zone", "radarSite", "meteoAlarmFeed"]) {
+        if (key in r && !this._isStr(r[key])) this._configProblem("error", `${label}: ${key} should be a string`);
+      }
+      if (r.radarProvider && !providers.includes(r.radarProvider)) {
+        this._configProblem("error", `${label}: radarProvider "${r.radarProvider}" is not one of ${providers.join(", ")}; using the default`);
+        delete r.radarProvider;
+      }
+
+      const hasPoint = Number.isFinite(r.lat) && Number.isFinite(r.lon);
+      if (this._nonEmptyString(r.meteoAlarmFeed)) enable("meteoalarm", `${label} has a meteoAlarmFeed`);
+      if (Array.isArray(r.customAlertSources) && r.customAlertSources.length) enable("custom", `${label} has customAlertSources`);
+      if (!this._nonEmptyString(r.zone) && !hasPoint && !this._nonEmptyString(r.meteoAlarmFeed) && !(r.customAlertSources || []).length) {
+        this._configProblem("error", `${label} has no zone, lat/lon, meteoAlarmFeed or customAlertSources, so it can never alert`);
+      }
+      return true;
+    });
+  },
+
+  _renderConfigProblems() {
+    const shown = (this.configProblems || []).filter(p => p.level !== "info");
+    if (!this.config.showConfigProblems || !shown.length) return null;
+    const el = document.createElement("div");
+    el.className = "radar-config-problems";
+    const head = document.createElement("div");
+    head.className = "radar-config-head";
+    head.textContent = `${this.name}: ${shown.length} config problem${shown.length === 1 ? "" : "s"} (see log)`;
+    el.appendChild(head);
+    for (const p of shown.slice(0, 6)) {
+      const row = document.createElement("div");
+      row.className = `radar-config-${p.level}`;
+      row.textContent = p.message;
+      el.appendChild(row);
+    }
+    if (shown.length > 6) {
+      const more = document.createElement("div");
+      more.textContent = `…and ${shown.length - 6} more`;
+      el.appendChild(more);
+    }
+    return el;
+  },
 
   /* ---------- visibility/DOM guards (NEW) ---------- */
   _isDisplayed() {
@@ -143,107 +727,266 @@ Module.register("MMM-RadarAlert", {
   start() {
     Log.info(`${this.name} starting`);
 
+    this._validateConfig();
     this._L = (typeof window !== "undefined" && window.L) ? window.L : undefined;
+    this._registerDefaultRadarProviders();
 
     this.alertActive   = false;
     this.alertData     = null;
     this.alertRegion   = null;
+    this.alertQueue    = []; // [{ key, alert, region, firstSeen, acknowledged }] worst first
+    this.alertIndex    = 0;
+    this._announced    = {}; // alert key → times its sound has played here
+    this._attention    = false; // next showRadar() is "loud"
+    this.pollerKey     = null; // assigned by node_helper
 
-    this.alertCheckTimer = null;
     this.repeatTimer     = null;
     this.hideTimer       = null;
+    this.cycleTimer      = null;
+    this.motionTimer     = null;
+    this.lightningTimer  = null;
+    this.statusTimer     = null;
     this._rvTimer        = null;
+    this.lowTier         = []; // [{ region, alert }] from node_helper, for the status view
+    this.history         = []; // recent history records from node_helper, newest first
+    this.simulation      = null; // { name, step, steps, label, speed } while the helper replays a timeline
+    this._historyMarked  = new Set(); // "shown|<key>" marks already sent
+
+    this.lightningActive = false;
+    this.lightningInfo   = null; // { region, count, nearestKm, latest }
+    this._strikes        = new Map(); // "lat,lon,t" → { lat, lon, t }
 
     this._root    = null;
     this._map     = null;
     this._base    = null;
-    this._rvLayer = null;
-    this._rvFrames = [];
+    this._rvMeta   = null; // { frames, fetchedAt }
+    this._rvFramesData = []; // [{ url, ts, nowcast, layer, status }]
     this._rvIndex  = 0;
 
     this.pendingFetches = {};
     this.nextRequestId  = 1;
 
-    this.scheduleAlertChecks();
+    // Polling happens in node_helper (one poller shared by every connected mirror)
+    this._registerWithHelper();
+    this._startLightning();
+
+    this._startStatusTimer();
+  },
+
+  // Fresh thumbnail every thumbnailRefresh; stopped while suspended
+  _startStatusTimer() {
+    if (this.statusTimer) { clearInterval(this.statusTimer); this.statusTimer = null; }
+    const SC = this._statusCfg();
+    if (!SC.enabled) return;
+    this.statusTimer = setInterval(() => { this._thumbUrl = null; this._renderStatus(); }, Math.max(60000, SC.thumbnailRefresh));
   },
 
   /* ---------- test ---------- */
-  triggerTestAlert() {
+  // payload (optional): { event, headline, description, severity, region: name | index }
+  // { simulation: "<timeline file>", speed, loop } replays a recorded timeline instead; { simulation: false } stops it
+  triggerTestAlert(payload = {}) {
+    const opts = (payload && typeof payload === "object") ? payload : {};
+    if (opts.simulation !== undefined) {
+      const sim = this._simulationOpts(opts.simulation, opts);
+      this.sendSocketNotification("RADAR_ALERT_SIMULATE", sim || { stop: true });
+      return;
+    }
     this.alertActive = true;
     this.alertData = {
+      id: "test",
+      provider: "test",
       properties: {
-        event: "Heat Advisory",
-        headline: "Test Heat Advisory",
-        description: "This is a test alert to verify display, map, zoom, and audio."
+        id: "test",
+        event: opts.event || "Heat Advisory",
+        headline: opts.headline || `Test ${opts.event || "Heat Advisory"}`,
+        description: opts.description || "This is a test alert to verify display, map, zoom, and audio.",
+        severity: opts.severity || "Unknown"
       }
     };
-    this.alertRegion = this.config.regions[0] || { name: "Test Region", zone: "FLZ251", radarSite: "KTLX", lat: 35.33, lon: -97.28, zoom: 11 };
-    this.handleAlertStatus();
-  },
-
-  /* ---------- scheduling ---------- */
-  scheduleAlertChecks() {
-    this.checkAlerts();
-    this.alertCheckTimer = setInterval(() => this.checkAlerts(), this.config.updateInterval);
+    this.alertRegion = this._findRegion(opts.region) || this.selectedRegion || this.config.regions[0]
+      || { name: "Test Region", zone: "FLZ251", radarSite: "KTLX", lat: 35.33, lon: -97.28, zoom: 11 };
+    this.alertQueue = [{ key: "test", alert: this.alertData, region: this.alertRegion, firstSeen: Date.now(), acknowledged: false }];
+    this.alertIndex = 0;
+    this.handleAlertStatus(true);
   },
 
   /* ---------- proxy fetch (optional) ---------- */
-  proxyFetch(url, ttl) {
+  // viaHelper: always fetch in node_helper (feeds without CORS headers), whatever useProxy says
+  proxyFetch(url, ttl, viaHelper = false) {
     return new Promise((resolve) => {
-      if (!this.config.useProxy || !this.sendSocketNotification) {
+      // A running simulation answers through the helper, so fetch there even without useProxy
+      if ((!this.config.useProxy && !this.simulation && !viaHelper) || !this.sendSocketNotification) {
         fetch(url).then(async (res) => {
           let text = null; try { text = await res.text(); } catch {}
           resolve({ ok: res.ok, status: res.status, body: text, url });
         }).catch((e) => resolve({ ok: false, status: 0, error: e.message, url }));
         return;
       }
-      const id = `req_${this.nextRequestId++}`;
-      this.pendingFetches[id] = resolve;
-      this.sendSocketNotification("RADAR_ALERT_PROXY_FETCH", { id, url, ttl });
+      // Results are broadcast to every instance; the identifier keeps them apart
+      const id = `${this.identifier}:${this.nextRequestId++}`;
+      const timer = setTimeout(() => {
+        delete this.pendingFetches[id];
+        resolve({ ok: false, status: 0, error: "proxy timeout", url });
+      }, 60 * 1000);
+      this.pendingFetches[id] = (result) => { clearTimeout(timer); resolve(result); };
+      this.sendSocketNotification("RADAR_ALERT_PROXY_FETCH", { identifier: this.identifier, id, url, ttl });
     });
   },
 
   socketNotificationReceived(notification, payload) {
-    if (notification === "RADAR_ALERT_PROXY_RESULT") {
+    if (notification === "RADAR_ALERT_REGISTERED") {
+      if (payload.identifier === this.identifier) this.pollerKey = payload.poller;
+    } else if (notification === "RADAR_ALERT_STATE") {
+      if (this.pollerKey && payload.poller === this.pollerKey) this.applyAlertState(payload);
+    } else if (notification === "RADAR_ALERT_TEST") {
+      if (this._isForMe(payload)) this.triggerTestAlert(payload); // from the HTTP API
+    } else if (notification === "RADAR_ALERT_DISMISS") {
+      if (this._isForMe(payload)) this.dismissAlert("http");
+    } else if (notification === "RADAR_ALERT_SIMULATION") {
+      this.applySimulation(payload);
+    } else if (notification === "RADAR_ALERT_PROXY_RESULT") {
+      if (payload.identifier !== this.identifier) return;
       const { id, result } = payload;
       const resolver = this.pendingFetches[id];
       if (resolver) { resolver(result); delete this.pendingFetches[id]; }
     }
   },
 
-  /* ---------- alerts ---------- */
-  async checkAlerts() {
-    let foundAlert = false, foundData = null, foundRegion = null;
-
-    for (const region of this.config.regions) {
-      for (const provider of this.config.alertProviders) {
-        if (provider === "nws") {
-          const zone = (typeof region === "string") ? region : region.zone;
-          if (!zone) continue;
-          const url = this.config.alertApiTemplateNWS.replace("{region}", zone);
-          try {
-            const res = await this.proxyFetch(url, this.config.proxyTTL);
-            if (!res.ok || !res.body) continue;
-            const json = JSON.parse(res.body);
-            const feats = Array.isArray(json.features) ? json.features : [];
-            for (const alert of feats) {
-              const ev = alert?.properties?.event || "";
-              const matchAny = Array.isArray(this.config.alertTypes) && this.config.alertTypes.length === 0;
-              if (matchAny || this.config.alertTypes.includes(ev)) {
-                foundAlert = true; foundData = alert; foundRegion = region; break;
-              }
-            }
-          } catch (e) { Log.error(this.name + " NWS check error:", e); }
-        }
-        if (foundAlert) break;
-      }
-      if (foundAlert) break;
+  /* ---------- alert state (polled and evaluated by node_helper) ---------- */
+  // Everything the helper needs to poll for us; identical configs share one poller
+  _pollerConfig() {
+    const c = this.config;
+    return {
+      regions: c.regions,
+      alertProviders: c.alertProviders,
+      alertTypes: c.alertTypes,
+      alertTypeMatch: c.alertTypeMatch,
+      requireGeometryMatch: c.requireGeometryMatch,
+      alertApiTemplateNWS: c.alertApiTemplateNWS,
+      alertApiTemplateNWSPoint: c.alertApiTemplateNWSPoint,
+      updateInterval: c.updateInterval,
+      proxyTTL: c.proxyTTL
+    };
+  },
+
+  _registerWithHelper() {
+    this.sendSocketNotification("RADAR_ALERT_REGISTER", {
+      identifier: this.identifier,
+      config: this._pollerConfig(),
+      apiKeyRequired: !!this.config.httpApiKey, // the helper reads the key itself
+      tileCache: this._tileCacheRegistration(),
+      fetch: { userAgent: this.config.userAgent, contact: this.config.contact, retries: this.config.fetchRetries },
+      history: this._historyCfg().enabled ? { maxDays: this._historyCfg().maxDays, maxEntries: this._historyCfg().maxEntries } : null,
+      simulation: this._simulationOpts(this.config.simulation)
+    });
+  },
+
+  // "file.json" | { file, speed, loop } → { file, speed, loop } or null
+  _simulationOpts(v, extra = {}) {
+    const opts = (v && typeof v === "object") ? v : { file: v };
+    if (!this._nonEmptyString(opts.file)) return null;
+    const out = { file: opts.file.trim() };
+    for (const k of ["speed", "loop"]) {
+      if (extra[k] !== undefined) out[k] = extra[k];
+      else if (opts[k] !== undefined) out[k] = opts[k];
+    }
+    return out;
+  },
+
+  // History marks (shown/snoozed) for queued alerts; acknowledgements come from RADAR_ALERT_ACK
+  _markHistory(items, mark) {
+    if (!this.pollerKey || !this._historyCfg().enabled) return;
+    const keys = items.filter(q => q && q.key !== "test" && !this._historyMarked.has(`${mark}|${q.key}`)).map(q => q.key);
+    keys.forEach(k => this._historyMarked.add(`${mark}|${k}`));
+    if (keys.length) {
+      this.sendSocketNotification("RADAR_ALERT_MARK", { poller: this.pollerKey, keys, mark });
     }
+  },
+
+  // What the helper's tile cache needs: limits, allowed hosts, and where to pre-warm
+  _tileCacheRegistration() {
+    const TC = this._tileCacheCfg();
+    if (!TC.enabled) return null;
+    const LC = this._leafletCfg();
+    const baseUrl = this._validTileTemplate(this._nonEmptyString(LC.baseUrl)) ? LC.baseUrl.trim() : this.defaults.leaflet.baseUrl;
+    return {
+      maxMB: TC.maxMB,
+      maxAgeDays: TC.maxAgeDays,
+      allowHosts: [].concat(TC.allowHosts || [], [baseUrl, LC.labelsUrl, this.config.radarUrlTemplateNWS, "https://tilecache.rainviewer.com"].filter(Boolean),
+        Object.values(this.config.radarSources || {}).filter(src => src && src.time).map(src => src.url)),
+      prewarm: (TC.prewarm && this._usesLeaflet()) ? {
+        baseUrl,
+        subdomains: "abc",
+        maxZoom: Number.isFinite(LC.baseMaxZoom) ? LC.baseMaxZoom : 18,
+        radius: TC.prewarmRadius,
+        points: (this.config.regions || []).filter(r => r && Number.isFinite(r.lat) && Number.isFinite(r.lon))
+          .map(r => ({ lat: r.lat, lon: r.lon, zoom: this._resolveZoom(r) }))
+      } : null
+    };
+  },
+
+  // payload: { queue: [{ key, regionIndex, alert, firstSeen, acknowledged }], attention, events }
+  applyAlertState(payload) {
+    const toItem = (it) => ({
+      key: it.key,
+      alert: it.alert,
+      region: this.config.regions[it.regionIndex] || null,
+      firstSeen: it.firstSeen,
+      acknowledged: !!it.acknowledged
+    });
+    this.lastPoll  = payload.lastPoll || null;
+    this.lastError = payload.lastError || null;
+    this.lowTier   = (payload.lowTier || []).map(it => ({ region: this.config.regions[it.regionIndex] || null, alert: it.alert }));
+    this.history   = payload.history || [];
+    this._setAlertQueue((payload.queue || []).map(toItem));
+    this._renderStatus();
+    this._renderHistory();
+    for (const e of payload.events || []) {
+      const it = toItem(e.item);
+      this._broadcastAlert(e.notification, it.alert, it.region, e.previous);
+    }
+    this.handleAlertStatus(!!payload.attention);
+  },
+
+  // Simulation started, stepped or stopped: radar metadata comes from (or returns to) the live feed
+  applySimulation(payload) {
+    if (payload.error) Log.error(`${this.name} simulation: ${payload.error}`);
+    const changed = !!this.simulation !== !!payload.active || (payload.active && payload.step !== this.simulation.step);
+    this.simulation = payload.active ? payload : null;
+    if (!changed) return;
+    this._rvMeta = null;
+    if (this._rvProvider) this._rvRefresh();
+    const root = this._root;
+    if (root) {
+      root.classList.toggle("is-simulation", !!this.simulation);
+      if (root.classList.contains("visible")) this._renderAlertTitle(root);
+    }
+  },
+
+  // queue arrives sorted worst-first from the helper. The item on screen stays put while it's still
+  // queued; a test alert or a manual region show on screen isn't replaced by a state push.
+  _setAlertQueue(queue) {
+    const current = this._currentItem();
+    const onScreen = !!(this._root && this._root.classList.contains("visible"));
+    if (onScreen && current && current.key === "test") queue = [current].concat(queue);
+    const keep = current ? queue.findIndex(q => q.key === current.key) : -1;
+    this.alertQueue  = queue;
+    this.alertActive = queue.length > 0;
+    if (onScreen && this._manualShow && !this.alertData) { this.alertIndex = 0; return; }
+    this.alertIndex  = keep >= 0 ? keep : 0;
+    this.alertData   = queue.length ? queue[this.alertIndex].alert  : null;
+    this.alertRegion = queue.length ? queue[this.alertIndex].region : null;
+  },
+
+  _currentItem() {
+    return this.alertQueue.find(q => q.alert === this.alertData) || null;
+  },
 
-    this.alertActive = foundAlert;
-    this.alertData   = foundData;
-    this.alertRegion = foundRegion;
-    this.handleAlertStatus();
+  // "ends" is when the hazard is over; "expires" only when this message is
+  _alertEndTime(alert) {
+    const p = alert?.properties || {};
+    const t = Date.parse(p.ends || p.expires || "");
+    return Number.isFinite(t) ? t : null;
   },
 
   /* ---------- legacy RainViewer static frames (no basemap) ---------- */
@@ -260,7 +1003,7 @@ Module.register("MMM-RadarAlert", {
         const time = (typeof f === "object" && f) ? (f.time || f.ts || f.t) : f;
         const path = (typeof f === "object" && f && f.path) ? f.path : (time ? `/v2/radar/${time}` : null);
         if (!path) return null;
-        return `${host}${path}/${RV.size}/${RV.zoom}/${lat}/${lon}/${RV.color}/${RV.smooth}_${RV.snow}.png`;
+        return this._tileUrl(`${host}${path}/${RV.size}/${RV.zoom}/${lat}/${lon}/${RV.color}/${RV.smooth}_${RV.snow}.png`);
       }).filter(Boolean);
     } catch (e) { Log.error(this.name + " RainViewer meta error:", e); return []; }
   },
@@ -276,6 +1019,7 @@ Module.register("MMM-RadarAlert", {
     if (!this._validTileTemplate(baseUrl)) {
       baseUrl = "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
     }
+    baseUrl = this._tileUrl(baseUrl);
     const maxZoom = Number.isFinite(LC.baseMaxZoom) ? LC.baseMaxZoom : 18;
 
     // Reuse existing map if present
@@ -291,9 +1035,10 @@ Module.register("MMM-RadarAlert", {
           this._base = L.tileLayer(baseUrl, { maxZoom, subdomains: "abc" }).addTo(this._map);
         } catch (e) {
           console.warn(this.name, "Base tile layer creation failed — fallback to OSM:", e);
-          this._base = L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", { maxZoom, subdomains: "abc" }).addTo(this._map);
+          this._base = L.tileLayer(this._tileUrl("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"), { maxZoom, subdomains: "abc" }).addTo(this._map);
         }
       }
+      this._ensureLabelsLayer(maxZoom);
       return true;
     }
 
@@ -315,33 +1060,36 @@ Module.register("MMM-RadarAlert", {
       this._base = L.tileLayer(baseUrl, { maxZoom, subdomains: "abc" }).addTo(this._map);
     } catch (e) {
       console.warn(this.name, "Base tile layer creation failed — fallback to OSM:", e);
-      this._base = L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", { maxZoom, subdomains: "abc" }).addTo(this._map);
+      this._base = L.tileLayer(this._tileUrl("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"), { maxZoom, subdomains: "abc" }).addTo(this._map);
     }
+    this._ensureLabelsLayer(maxZoom);
 
     return true;
   },
 
-  async startLeafletRainviewer(center) {
-    const L = this._L || (typeof window !== "undefined" ? window.L : undefined);
-    if (!L || !this._map) return;
-
+  // RainViewer frame list [{ url, ts, nowcast }], refetched at most every metaRefresh
+  async _rainviewerFrames(force = false) {
     const LC = this._leafletCfg();
+    const maxAge = Number.isFinite(LC.metaRefresh) ? LC.metaRefresh : 300000;
+    if (!force && this._rvMeta && Date.now() - this._rvMeta.fetchedAt < maxAge) return this._rvMeta.frames;
 
     // Use 256 tiles by default (safe). To try fewer, larger tiles, change to 512.
-    const TILE_PX = 256; // ← change to 512 if you want (then see layer options below)
+    const TILE_PX = 256; // ← change to 512 if you want (then see layer options in _rvFrameLayer)
 
-    // Build list of frame {url, ts}
-    const fetchMeta = await this.proxyFetch(this.config.rainviewerMetaUrl, 30000);
-    if (!fetchMeta?.ok || !fetchMeta.body) return;
+    let res;
+    try { res = await this.proxyFetch(this.config.rainviewerMetaUrl, 30000); } catch (e) { res = null; }
+    if (!res?.ok || !res.body) return this._rvMeta ? this._rvMeta.frames : [];
 
-    const meta  = JSON.parse(fetchMeta.body);
+    let meta;
+    try { meta = JSON.parse(res.body); } catch (e) { return this._rvMeta ? this._rvMeta.frames : []; }
     const host  = meta.host || "https://tilecache.rainviewer.com";
     const past  = Array.isArray(meta?.radar?.past) ? meta.radar.past : [];
     const nowc  = Array.isArray(meta?.radar?.nowcast) ? meta.radar.nowcast : [];
-    const frames = past.concat(nowc);
-    if (!frames.length) return;
 
-    const build = (frame) => {
+    const palette = Number.isFinite(LC.color) ? LC.color : 2;
+    const smooth  = Number.isFinite(LC.smooth) ? LC.smooth : 1;
+    const snow    = Number.isFinite(LC.snow)   ? LC.snow   : 0;
+    const build = (frame, i) => {
       let time = null, path = null;
       if (frame && typeof frame === "object") {
         time = frame.time || frame.ts || frame.t || null;
@@ -351,140 +1099,378 @@ Module.register("MMM-RadarAlert", {
         path = time ? `/v2/radar/${time}` : null;
       }
       if (!path) return null;
-      const palette = Number.isFinite(LC.color) ? LC.color : 2;
-      const smooth  = Number.isFinite(LC.smooth) ? LC.smooth : 1;
-      const snow    = Number.isFinite(LC.snow)   ? LC.snow   : 0;
-      const url = `${host}${path}/${TILE_PX}/{z}/{x}/{y}/${palette}/${smooth}_${snow}.png`;
-      return { url, ts: time };
+      const url = this._tileUrl(`${host}${path}/${TILE_PX}/{z}/{x}/{y}/${palette}/${smooth}_${snow}.png`);
+      return { url, ts: time, nowcast: i >= past.length };
     };
 
-    const data = frames.map(build).filter(Boolean);
-    if (!data.length) return;
+    this._rvMeta = { frames: past.concat(nowc).map(build).filter(Boolean), fetchedAt: Date.now() };
+    return this._rvMeta.frames;
+  },
 
-    // Keep our frame data & index
-    this._rvFramesData = data;
-    // Start on the latest (last) frame
-    this._rvIndex = data.length - 1;
+  // One hidden tile layer per frame; status goes loading -> ready, or broken on timeout/all tiles failing
+  _rvFrameLayer(frame) {
+    const L = this._L || window.L;
+    const LC = this._leafletCfg();
+    const timeout = Number.isFinite(LC.frameLoadTimeout) ? LC.frameLoadTimeout : 8000;
+    const opts = {
+      opacity: 0,
+      zIndex: 200,
+      className: "rv-fade" // so CSS transitions apply
+    };
+    // If you switch TILE_PX to 512, uncomment the next two lines:
+    // opts.tileSize = 512;
+    // opts.zoomOffset = -1;
+
+    const layer = frame.wms
+      ? L.tileLayer.wms(frame.url, Object.assign({}, frame.wms, opts))
+      : L.tileLayer(frame.url, Object.assign({ subdomains: frame.subdomains || "abc" }, opts));
+    const f = { ...frame, key: frame.key || frame.url, layer, status: "loading", _timer: null, _ok: 0, _err: 0 };
+    const arm = () => {
+      clearTimeout(f._timer);
+      f._timer = setTimeout(() => { if (f.status === "loading") f.status = "broken"; }, timeout);
+    };
+    f._handlers = {
+      loading:   () => { f._ok = 0; f._err = 0; f.status = "loading"; arm(); },
+      tileload:  () => { f._ok++; },
+      tileerror: () => { f._err++; },
+      load:      () => { clearTimeout(f._timer); f.status = (f._err && !f._ok) ? "broken" : "ready"; }
+    };
+    f.layer.on(f._handlers);
+    arm();
+    f.layer.addTo(this._map);
+    return f;
+  },
 
-    // Ensure our double-buffer structure exists
-    if (!this._rvLayers) {
-      this._rvLayers = { A: null, B: null };
-      this._rvActiveKey = "A";
+  _rvDropFrame(f) {
+    clearTimeout(f._timer);
+    if (f.layer) {
+      f.layer.off(f._handlers);
+      if (this._map) this._map.removeLayer(f.layer);
     }
+    f.layer = null;
+  },
 
-    const opacityTarget = LC.opacity ?? 0.9;
+  // Reuse layers for frames we already have, add new ones, drop frames that aged out
+  _rvSyncFrames(frames) {
+    const old = new Map(this._rvFramesData.map(f => [f.key, f]));
+    const current = this._rvFramesData[this._rvIndex];
+    this._rvFramesData = frames.map(fr => {
+      const have = old.get(fr.key || fr.url);
+      if (have) { old.delete(have.key); return Object.assign(have, { ts: fr.ts, nowcast: fr.nowcast }); }
+      return this._rvFrameLayer(fr);
+    });
+    for (const f of old.values()) this._rvDropFrame(f);
+    const kept = current ? this._rvFramesData.indexOf(current) : -1;
+    if (kept >= 0) this._rvIndex = kept;
+    return kept >= 0;
+  },
 
-    // Helper to create a tile layer with fades
-    const makeLayer = (url) => {
-      const opts = {
-        opacity: 0,
-        zIndex: 200,
-        className: "rv-fade" // so CSS transitions apply
-      };
-      // If you switch TILE_PX to 512, uncomment the next two lines:
-      // opts.tileSize = 512;
-      // opts.zoomOffset = -1;
+  _rvLastObserved() {
+    const i = this._rvFramesData.map(f => f.nowcast).lastIndexOf(false);
+    return i >= 0 ? i : this._rvFramesData.length - 1;
+  },
 
-      const layer = L.tileLayer(url, opts);
-      layer.addTo(this._map);
-      return layer;
-    };
+  _rvShowFrame(idx) {
+    const LC = this._leafletCfg();
+    const prev = this._rvFramesData[this._rvIndex];
+    const next = this._rvFramesData[idx];
+    if (!next) return;
+    if (prev && prev !== next && prev.layer) prev.layer.setOpacity(0);
+    if (next.layer) {
+      try { next.layer.bringToFront(); } catch {}
+      next.layer.setOpacity(LC.opacity ?? 0.9);
+    }
+    this._rvIndex = idx;
+    if (idx === this._rvLastObserved()) {
+      this._rvDwellUntil = Date.now() + (Number.isFinite(LC.latestFrameDwell) ? LC.latestFrameDwell : 0);
+    }
+    this._renderTimeline();
+  },
 
-    // Ensure both layers exist
-    if (!this._rvLayers.A) this._rvLayers.A = makeLayer(data[this._rvIndex].url);
-    if (!this._rvLayers.B) this._rvLayers.B = makeLayer(data[this._rvIndex].url);
+  _sameFrames(frames) {
+    return this._rvFramesData.length === frames.length &&
+      this._rvFramesData.every((f, i) => f.key === (frames[i].key || frames[i].url) && f.layer);
+  },
 
-    // Show the active layer immediately (first frame)
-    const active = this._rvLayers[this._rvActiveKey];
-    active.setUrl(data[this._rvIndex].url);
-    active.setOpacity(opacityTarget);
+  // Animate a "tiles" provider's frames over the basemap
+  async startLeafletRadar(provider, region) {
+    const L = this._L || (typeof window !== "undefined" ? window.L : undefined);
+    if (!L || !this._map) return;
 
-    // Clear any previous animator
+    const LC = this._leafletCfg();
+    if (this._rvProvider !== provider) this.stopLeaflet(); // different source: drop the old frames
+    this._rvProvider = provider;
+    this._rvRegion = region;
+    let frames = [];
+    try { frames = await provider.frames(region, false) || []; } catch (e) { Log.error(this.name + " radar frames error:", e); }
+    if (!this._map || this._rvProvider !== provider) return; // hidden or switched while fetching
+    if (!frames.length) { this.stopLeaflet(); return; }
+
+    // Same frames still on the map (repeat while visible): keep them and the animator as they are
+    if (this._sameFrames(frames) && this._rvTimer) return;
+
+    this._rvFetchedAt = Date.now();
+    this._rvSyncFrames(frames);
+    this._rvShowFrame(this._rvLastObserved());
+
+    // Animator: advance to the next frame that has finished loading; skip loading/broken ones
     if (this._rvTimer) clearInterval(this._rvTimer);
-
-    // Animator: preload on inactive, then cross-fade
     this._rvTimer = setInterval(() => {
-      const nextIdx = (this._rvIndex + 1) % this._rvFramesData.length;
-      const next = this._rvFramesData[nextIdx];
-      if (!next?.url) { this._rvIndex = nextIdx; return; }
+      if (Date.now() - this._rvFetchedAt >= (LC.metaRefresh ?? 300000)) this._rvRefresh();
+      if (Date.now() < this._rvDwellUntil) return;
+      const n = this._rvFramesData.length;
+      for (let step = 1; step <= n; step++) {
+        const idx = (this._rvIndex + step) % n;
+        if (this._rvFramesData[idx].status === "ready") { this._rvShowFrame(idx); return; }
+      }
+    }, LC.frameInterval ?? 220);
+  },
+
+  // Periodic frame-list check while visible; layers are only touched when the list changed
+  async _rvRefresh() {
+    if (this._rvRefreshing || !this._rvProvider) return;
+    this._rvRefreshing = true;
+    this._rvFetchedAt = Date.now();
+    const provider = this._rvProvider;
+    try {
+      const frames = await provider.frames(this._rvRegion, true) || [];
+      if (!this._map || !this._rvTimer || provider !== this._rvProvider || !frames.length) return;
+      if (!this._sameFrames(frames)) {
+        if (!this._rvSyncFrames(frames)) this._rvShowFrame(this._rvLastObserved());
+      } else if (frames.length === 1 && !frames[0].ts) {
+        this._rvFramesData[0].layer.redraw(); // untimed "latest" layer: same URL, new picture
+      }
+    } catch (e) {
+      Log.error(this.name + " radar frames error:", e);
+    } finally {
+      this._rvRefreshing = false;
+    }
+  },
+
+  // Remove every frame layer and its listeners; the map and basemap stay for the next show
+  stopLeaflet() {
+    if (this._rvTimer) { clearInterval(this._rvTimer); this._rvTimer = null; }
+    for (const f of this._rvFramesData) this._rvDropFrame(f);
+    this._rvFramesData = [];
+    this._rvIndex = 0;
+    this._rvProvider = null;
+    this.clearAlertGeometry();
+    this.clearRegionOverlays();
+    this.clearOverviewBadges();
+    this.clearLightning();
+    const tl = this._map && this._map.getContainer().querySelector(".rv-timeline");
+    if (tl) tl.remove();
+  },
 
-      const inactiveKey = (this._rvActiveKey === "A") ? "B" : "A";
-      const inactive = this._rvLayers[inactiveKey];
-      const current  = this._rvLayers[this._rvActiveKey];
+  /* ---------- radar timeline ---------- */
+  // "−35 min" / "now" / "+20 min"
+  _relativeMinutes(tsSec) {
+    const min = Math.round((tsSec * 1000 - Date.now()) / 60000);
+    if (min === 0) return "now";
+    return min < 0 ? `\u2212${-min} min` : `+${min} min`;
+  },
 
+  _renderTimeline() {
+    const frames = this._rvFramesData || [];
+    if (!this._leafletCfg().timeline || !this._map || !frames.length) return;
+
+    const container = this._map.getContainer();
+    let el = container.querySelector(".rv-timeline");
+    // Nothing to show for a single live layer
+    if (frames.length < 2 || !frames.some(f => f.ts)) { if (el) el.remove(); return; }
+    if (!el) {
+      el = document.createElement("div");
+      el.className = "rv-timeline";
+      el.innerHTML =
+        "<div class=\"rv-timeline-label\"><span class=\"rv-timeline-time\"></span><span class=\"rv-timeline-rel\"></span></div>" +
+        "<div class=\"rv-timeline-track\"><div class=\"rv-timeline-nowcast\"></div><div class=\"rv-timeline-progress\"></div></div>";
+      container.appendChild(el);
+    }
 
-      // Start with the inactive layer hidden
-      inactive.setOpacity(0);
-      inactive.setUrl(next.url);
+    const n = frames.length;
+    const f = frames[this._rvIndex] || frames[n - 1];
+    const firstNowcast = frames.findIndex(x => x.nowcast);
+    const when = f.ts ? new Date(f.ts * 1000) : null;
+
+    el.classList.toggle("is-nowcast", !!f.nowcast);
+    el.querySelector(".rv-timeline-time").textContent = when
+      ? when.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" }) : "";
+    el.querySelector(".rv-timeline-rel").textContent = f.ts
+      ? `${this._relativeMinutes(f.ts)}${f.nowcast ? " · forecast" : ""}` : "";
+    el.querySelector(".rv-timeline-progress").style.width = `${((this._rvIndex + 1) / n) * 100}%`;
+    el.querySelector(".rv-timeline-nowcast").style.width = firstNowcast >= 0 ? `${((n - firstNowcast) / n) * 100}%` : "0";
+  },
 
-      // When all tiles for the inactive layer are loaded, cross-fade
-      const handleLoad = () => {
-        inactive.off("load", handleLoad);
-        // bring new frame on top & fade in
-        try { inactive.bringToFront(); } catch {}
-        inactive.setOpacity(opacityTarget);
+  /* ---------- alert polygons / affected zones ---------- */
+  _alertColor(ev) {
+    const colors = this.config.alertColors || {};
+    return colors[ev] || colors.default || "#ff00ff";
+  },
 
-        // fade out the current layer
-        current.setOpacity(0);
+  // Storm-based polygon if the alert has one, else the union of its affectedZones shapes
+  async _alertGeometry(alert) {
+    if (alert?.geometry?.type) return { geometry: alert.geometry, zones: false };
 
-        // swap active pointer
-        this._rvActiveKey = inactiveKey;
-        this._rvIndex = nextIdx;
-      };
+    const LC = this._leafletCfg();
+    const urls = Array.isArray(alert?.properties?.affectedZones) ? alert.properties.affectedZones : [];
+    if (!urls.length) return null;
+    if (!this._zoneGeomCache) this._zoneGeomCache = {};
 
-      inactive.on("load", handleLoad);
-    }, LC.frameInterval ?? 220);
+    const geoms = await Promise.all(urls.slice(0, LC.maxAffectedZones || 12).map(async (url) => {
+      if (this._zoneGeomCache[url]) return this._zoneGeomCache[url];
+      try {
+        const res = await this.proxyFetch(url, 24 * 60 * 60 * 1000); // zone shapes hardly ever change
+        if (!res.ok || !res.body) return null;
+        const g = JSON.parse(res.body).geometry || null;
+        if (g) this._zoneGeomCache[url] = g;
+        return g;
+      } catch (e) { return null; }
+    }));
+    const list = geoms.filter(Boolean);
+    if (!list.length) return null;
+    return { geometry: { type: "GeometryCollection", geometries: list }, zones: true };
   },
 
-  stopLeaflet() {
-    if (this._rvTimer) { clearInterval(this._rvTimer); this._rvTimer = null; }
-    if (this._rvLayer && this._map) { this._map.removeLayer(this._rvLayer); this._rvLayer = null; }
+  async drawAlertGeometry(alert) {
+    const L = this._L || (typeof window !== "undefined" ? window.L : undefined);
+    if (!L || !this._map) return;
+    this.clearAlertGeometry();
+    if (alert) this._drawStormMotion(alert);
+    // Overview shows every queued alert's shape, the focused one emphasised
+    const alerts = this._overviewOn() ? this.alertQueue.map(q => q.alert) : (alert ? [alert] : []);
+    if (!this._leafletCfg().drawAlertPolygons || !alerts.length) return;
+
+    // Zone lookups are async; drop the result if another alert was focused meanwhile
+    const token = this._alertDrawToken = (this._alertDrawToken || 0) + 1;
+    const found = await Promise.all(alerts.map(a => this._alertGeometry(a)));
+    if (token !== this._alertDrawToken || !this._map) return;
+
+    const group = L.featureGroup();
+    let focusBounds = null;
+    alerts.forEach((a, i) => {
+      const f = found[i];
+      if (!f) return;
+      const color = this._alertColor(a.properties?.event);
+      const focused = a === alert;
+      const layer = L.geoJSON(f.geometry, {
+        interactive: false,
+        style: {
+          color,
+          weight: (f.zones ? 2 : 3) - (focused ? 0 : 1),
+          opacity: focused ? 0.9 : 0.6,
+          fillColor: color,
+          fillOpacity: (f.zones ? 0.08 : 0.18) * (focused ? 1 : 0.6),
+          dashArray: f.zones ? "6 4" : null
+        }
+      }).addTo(group);
+      if (focused) {
+        const bounds = layer.getBounds();
+        focusBounds = bounds.isValid() ? bounds : null;
+      }
+    });
+    this._alertLayer = group.addTo(this._map);
+    this._alertBounds = focusBounds;
+    if (this._leafletCfg().fitToAlert) this._fitAlertOrRegion(this._map);
+  },
+
+  clearAlertGeometry() {
+    if (this._alertLayer && this._map) this._map.removeLayer(this._alertLayer);
+    if (this._motionLayer && this._map) this._map.removeLayer(this._motionLayer);
+    this._alertLayer  = null;
+    this._motionLayer = null;
+    this._alertBounds = null;
+  },
+
+  // fitToAlert → polygon bounds; otherwise (or with no polygon) the region's lat/lon/zoom/radiusKm
+  _fitAlertOrRegion(map) {
+    const LC = this._leafletCfg();
+    if (this._overviewOn()) {
+      this._drawOverviewBadges();
+      if (!this._overviewFocus) {
+        map.fitBounds(this._overviewBounds(), { padding: [30, 30], maxZoom: Number.isFinite(LC.overviewMaxZoom) ? LC.overviewMaxZoom : 10 });
+        this.clearRegionOverlays();
+        return;
+      }
+    }
+    if (LC.fitToAlert && this._alertBounds) {
+      map.fitBounds(this._alertBounds, { padding: [24, 24], maxZoom: Number.isFinite(LC.fitToAlertMaxZoom) ? LC.fitToAlertMaxZoom : 11 });
+    } else {
+      this._fitRegionOrZoom(map, this.alertRegion);
+    }
+    this._drawRegionOverlays(this.alertRegion);
   },
 
   /* ---------- show/hide ---------- */
-  handleAlertStatus() {
-    const active = this.alertActive; // extend with lightningActive if you add it later
+  // attention: something new/upgraded arrived → show now (loud) and restart the repeat cycle
+  handleAlertStatus(attention = false) {
+    const active = this.alertActive || (this.lightningActive && !this._lightningAck);
     if (active) {
+      if (attention) {
+        this._attention = true;
+        if (this.repeatTimer) { clearInterval(this.repeatTimer); this.repeatTimer = null; }
+      }
       if (!this.repeatTimer) {
-        // Only show when we’re actually displayed; otherwise wait for DOM
-        if (this._isDisplayed()) this.showRadar();
-        else this._waitForDomThen(() => this.showRadar());
-        this.repeatTimer = setInterval(() => {
+        // Snoozed: stay quiet unless something new/upgraded came in
+        const show = () => {
+          if (this._isSnoozed() && !this._attention) return;
+          // Quiet hours: low-priority alerts show once when they arrive, not on every repeat
+          if (!this._attention && this._quietMode(this._worstActive())) return;
+          // Only show when we’re actually displayed; otherwise wait for DOM
           if (this._isDisplayed()) this.showRadar();
           else this._waitForDomThen(() => this.showRadar());
-        }, this.config.repeatInterval);
+        };
+        show();
+        this.repeatTimer = setInterval(show, this.config.repeatInterval);
       }
     } else {
       if (this.repeatTimer) { clearInterval(this.repeatTimer); this.repeatTimer = null; }
-      this.hideRadar(true);
+      if (!this._manualShow) this.hideRadar(true);
     }
   },
 
-  async showRadar() {
+  async showRadar(startIndex = 0) {
     // If we aren't displayed yet, defer without calling updateDom()
     if (!this._isDisplayed()) {
-      this._waitForDomThen(() => this.showRadar());
+      this._waitForDomThen(() => this.showRadar(startIndex));
       return;
     }
 
     const root = this._root || document.getElementById(`${this.identifier}-radar-root`);
     if (!root) {
       // DOM not built yet — wait and try again (avoid updateDom while hidden)
-      this._waitForDomThen(() => this.showRadar());
+      this._waitForDomThen(() => this.showRadar(startIndex));
       return;
     }
 
     if (this.hideTimer) { clearTimeout(this.hideTimer); this.hideTimer = null; }
-
-    // Title/subtitle
-    const title = root.querySelector(".radar-title");
-    const ev  = this.alertData?.properties?.event || (this.alertRegion && this.alertRegion.name) || "Severe Weather";
-    const sub = this.alertData?.properties?.headline || this.alertData?.properties?.description || "";
-    if (title) title.innerHTML = `<strong>${ev}</strong><br/>${sub}`;
+    this._stopAlertCycle();
+    this._overviewFocus = null;
+    // A newer show or a hide while we wait on the layout/radar makes this one stale
+    const token = this._showToken = (this._showToken || 0) + 1;
+    const stale = () => token !== this._showToken || !root.classList.contains("visible");
+
+    // Open on the worst alert unless asked for a specific one
+    // Lightning with no official alert: centre on the region the strikes are near
+    const lightningOnly = !this.alertQueue.length && this.lightningActive && !this._manualShow;
+    if (this.alertQueue.length) {
+      this.alertIndex  = Math.min(Math.max(startIndex, 0), this.alertQueue.length - 1);
+      this.alertData   = this.alertQueue[this.alertIndex].alert;
+      this.alertRegion = this.alertQueue[this.alertIndex].region;
+    } else if (lightningOnly) {
+      this.alertData   = null;
+      this.alertRegion = this.lightningInfo.region;
+    }
+    this._renderAlertTitle(root);
+    this._markHistory([this._currentItem()], "shown");
 
     // Make the popup visible BEFORE creating the map
+    // New/upgraded alerts flash and sound; quiet repeats get a steady border and no audio
+    const quiet = this._quietMode(this.alertData || (lightningOnly ? this._lightningCue() : null));
+    const loud = (!!this.alertData || lightningOnly) && (this._attention || !this.config.quietRepeats) && !quiet;
+    this._attention = false;
+    root.classList.toggle("radar-compact", quiet === "compact");
     const border = root.querySelector(".radar-border");
-    if (border) border.classList.add("flash-border");
+    if (border) border.classList.add(loud ? "flash-border" : "steady-border");
     root.style.display = "block";
     root.classList.remove("slide-out");
     void root.offsetWidth; // reflow
@@ -492,60 +1478,717 @@ Module.register("MMM-RadarAlert", {
 
     // Give the layout a moment to size, then build the content
     await new Promise(r => setTimeout(r, 30));
+    if (stale()) return;
 
     const holder = root.querySelector(`#${this.identifier}-radar-img-holder`);
     if (!holder) return;
-    holder.innerHTML = "";
-
-    if (this.config.radarProvider === "leaflet") {
-      const ok = await this.initLeaflet(holder, this.alertRegion);
-      if (ok) {
-        await this.startLeafletRainviewer(this.alertRegion);
-        // Critical: recalc size now that it's visible and after slide-in
-        if (this._map) {
-          this._map.invalidateSize();
-          this._fitRegionOrZoom(this._map, this.alertRegion);
-          setTimeout(() => {
-            if (this._map) {
-              this._map.invalidateSize();
-              this._fitRegionOrZoom(this._map, this.alertRegion);
-            }
-          }, 550);
-        }
-      }
-    } else if (this.config.radarProvider === "rainviewer") {
-      const img = document.createElement("img");
-      img.className = "radar-image";
-      holder.appendChild(img);
-      const frames = await this.getCenterFrames(this.alertRegion);
-      if (frames.length) {
-        let i = 0; img.src = frames[i];
-        if (this._rvTimer) clearInterval(this._rvTimer);
-        this._rvTimer = setInterval(() => {
-          i = (i + 1) % frames.length;
-          img.src = frames[i];
-        }, this.config.rainviewerFrameInterval);
-      } else {
-        img.src = "modules/MMM-RadarAlert/no-radar.png";
-      }
-    } else { // "nws"
-      const img = document.createElement("img");
-      img.className = "radar-image";
-      holder.appendChild(img);
-      const site = (typeof this.alertRegion === "object" && this.alertRegion.radarSite) ? this.alertRegion.radarSite : "KTLX";
-      img.src = this.config.radarUrlTemplateNWS.replace("{radarSite}", site);
+
+    if (quiet === "compact") {
+      if (this._map) this.stopLeaflet();
+      if (this._rvTimer) { clearInterval(this._rvTimer); this._rvTimer = null; }
+      this._radarActive = null;
+    } else {
+      await this._renderRadar(holder, this.alertRegion);
+      if (stale()) return;
+    }
+
+    this._stopAlertCycle();
+    if (this.config.alertCycle && this.alertQueue.length > 1) {
+      this.cycleTimer = setInterval(() => this._focusAlert(this.alertIndex + 1), this.config.alertCycleInterval);
+    }
+    // Arrival estimates count down; keep the title current
+    if (this.config.stormMotion && this.alertQueue.some(q => q.alert?.properties?.motion)) {
+      this.motionTimer = setInterval(() => this._renderAlertTitle(root), 30 * 1000);
     }
 
     // Audio + auto-hide
-    this.playAudioCue();
+    const item = this._currentItem();
+    const escalate = !loud && !quiet && item && !item.acknowledged && this._soundProfile(this.alertData).escalate;
+    if (loud || escalate) {
+      if (item) this._announced[item.key] = (this._announced[item.key] || 0) + 1;
+      this.playAudioCue(this.alertData || this._lightningCue(), this.alertRegion);
+    }
     if (this.config.showDuration > 0) {
+      if (this.hideTimer) clearTimeout(this.hideTimer);
       this.hideTimer = setTimeout(() => this.hideRadar(false), this.config.showDuration);
     }
   },
 
+  /* ---------- radar rendering ---------- */
+  // Draw the region's radar provider into the holder; the Leaflet container is kept (hidden) between uses
+  async _renderRadar(holder, region) {
+    const provider = this._radarProvider(region);
+    this._radarActive = { provider, region };
+    if (this._rvTimer && provider.kind !== "tiles") { clearInterval(this._rvTimer); this._rvTimer = null; }
+
+    const mapEl = this._map && this._map.getContainer();
+    for (const el of Array.from(holder.children)) if (el !== mapEl) el.remove();
+    this._renderRadarCredits(holder, provider, region);
+
+    if (provider.kind === "tiles") {
+      if (mapEl) mapEl.style.display = "";
+      const ok = await this.initLeaflet(holder, region);
+      if (!ok) return;
+      await this.startLeafletRadar(provider, region);
+      // Critical: recalc size now that it's visible and after slide-in
+      if (this._map) {
+        this._drawLightning();
+        await this.drawAlertGeometry(this.alertData);
+        this._map.invalidateSize();
+        this._fitAlertOrRegion(this._map);
+        setTimeout(() => {
+          if (this._map) {
+            this._map.invalidateSize();
+            this._fitAlertOrRegion(this._map);
+          }
+        }, 550);
+      }
+      return;
+    }
+
+    if (this._map) this.stopLeaflet();
+    if (mapEl) mapEl.style.display = "none";
+    const img = document.createElement("img");
+    img.className = "radar-image";
+    holder.appendChild(img);
+    let frames = [];
+    try { frames = await provider.frames(region, false) || []; } catch (e) { Log.error(this.name + " radar frames error:", e); }
+    if (this._radarActive?.provider !== provider || this._radarActive.region !== region) return;
+    if (!frames.length) { img.src = "modules/MMM-RadarAlert/no-radar.png"; return; }
+    let i = 0; img.src = frames[i].url;
+    if (frames.length > 1) {
+      if (this._rvTimer) clearInterval(this._rvTimer);
+      this._rvTimer = setInterval(() => {
+        i = (i + 1) % frames.length;
+        img.src = frames[i].url;
+      }, provider.interval || this.config.rainviewerFrameInterval);
+    }
+  },
+
+  // Attribution + legend strip under the radar
+  _renderRadarCredits(holder, provider, region) {
+    const parent = holder.parentNode;
+    if (!parent) return;
+    let el = parent.querySelector(".radar-credits");
+    if (!el) {
+      el = document.createElement("div");
+      el.className = "radar-credits";
+      parent.insertBefore(el, holder.nextSibling);
+    }
+    const legend = this._leafletCfg().legend
+      ? this._legendHtml((typeof provider.legend === "function") ? provider.legend(region) : provider.legend)
+      : "";
+    // Map providers get the key drawn on the map itself; image providers get it in this strip
+    const onMap = provider.kind === "tiles";
+    let html = onMap ? "" : legend;
+    if (provider.attribution) html += `<span class="radar-attribution">${provider.attribution}</span>`;
+    el.innerHTML = html;
+    el.style.display = html ? "" : "none";
+    this._mapLegendHtml = onMap ? legend : "";
+  },
+
+  _legendHtml(legend) {
+    if (this._isStr(legend) && legend) return `<img class="radar-legend-img" src="${legend}"/>`;
+    if (!Array.isArray(legend) || !legend.length) return "";
+    return "<span class=\"radar-legend\">" + legend.map(st =>
+      `<span class="radar-legend-stop"><i style="background:${st.color}"></i>${st.label ?? ""}</span>`).join("") + "</span>";
+  },
+
+  /* ---------- map overlays: region marker, range rings, labels, legend ---------- */
+  _drawRegionOverlays(region) {
+    const L = this._L || (typeof window !== "undefined" ? window.L : undefined);
+    if (!L || !this._map) return;
+    const LC = this._leafletCfg();
+
+    const container = this._map.getContainer();
+    let legendEl = container.querySelector(".radar-map-legend");
+    if (this._mapLegendHtml) {
+      if (!legendEl) {
+        legendEl = document.createElement("div");
+        legendEl.className = "radar-map-legend";
+        container.appendChild(legendEl);
+      }
+      legendEl.innerHTML = this._mapLegendHtml;
+    } else if (legendEl) {
+      legendEl.remove();
+    }
+
+    if (this._overlayLayer && this._overlayRegion === region) return;
+    this.clearRegionOverlays();
+    if (!region || !Number.isFinite(region.lat) || !Number.isFinite(region.lon)) return;
+
+    const center = [region.lat, region.lon];
+    const group = L.layerGroup();
+    for (const km of [].concat(LC.rangeRings || []).filter(n => Number(n) > 0)) {
+      L.circle(center, { radius: km * 1000, color: "#fff", weight: 1, opacity: 0.7, dashArray: "4 6", fill: false, interactive: false }).addTo(group);
+      const north = [region.lat + km / 111, region.lon]; // ~111 km per degree latitude
+      L.marker(north, {
+        interactive: false,
+        icon: L.divIcon({ className: "radar-ring-label", html: `${km} km`, iconSize: null })
+      }).addTo(group);
+    }
+    if (LC.marker) {
+      L.circleMarker(center, { radius: 6, color: "#fff", weight: 2, fillColor: "#1e90ff", fillOpacity: 1, interactive: false }).addTo(group);
+    }
+    this._overlayLayer = group.addTo(this._map);
+    this._overlayRegion = region;
+  },
+
+  /* ---------- overview (all regions on one map) ---------- */
+  _overviewRegions() {
+    return (this.config.regions || []).filter(r => r && typeof r === "object" && Number.isFinite(r.lat) && Number.isFinite(r.lon));
+  },
+
+  _overviewOn() {
+    return !!this.config.overview && this._overviewRegions().length > 1;
+  },
+
+  _overviewBounds() {
+    const L = this._L || window.L;
+    const pts = [];
+    for (const r of this._overviewRegions()) {
+      const km = r.radiusKm > 0 ? r.radiusKm : 20;
+      pts.push(this._project(r.lat, r.lon, km, 0), this._project(r.lat, r.lon, km, 90),
+               this._project(r.lat, r.lon, km, 180), this._project(r.lat, r.lon, km, 270));
+    }
+    return L.latLngBounds(pts);
+  },
+
+  // One badge per region, colored by its worst alert (queue is worst-first); tap to zoom in
+  _drawOverviewBadges() {
+    const L = this._L || (typeof window !== "undefined" ? window.L : undefined);
+    if (!L || !this._map) return;
+    this.clearOverviewBadges();
+    const group = L.layerGroup();
+    for (const region of this._overviewRegions()) {
+      const items = this.alertQueue.filter(q => q.region === region);
+      const color = items.length ? this._alertColor(items[0].alert.properties?.event) : "#4caf50";
+      const focused = region === this._overviewFocus || (!this._overviewFocus && region === this.alertRegion && items.length);
+      const label = `${this._esc(region.name || region.zone || "")}${items.length > 1 ? ` <b>${items.length}</b>` : ""}`;
+      const marker = L.marker([region.lat, region.lon], {
+        icon: L.divIcon({
+          className: `radar-badge${focused ? " is-focused" : ""}${items.length ? "" : " is-clear"}`,
+          html: `<span class="radar-badge-dot" style="background:${color}"></span>${label}`,
+          iconSize: null
+        })
+      });
+      marker.on("click", (e) => {
+        // Keep the tap from reaching the panel's tap-to-dismiss
+        if (e.originalEvent) e.originalEvent.stopPropagation();
+        this._zoomToRegion(region);
+      });
+      marker.addTo(group);
+    }
+    this._badgeLayer = group.addTo(this._map);
+    this._renderOverviewBack();
+  },
+
+  clearOverviewBadges() {
+    if (this._badgeLayer && this._map) this._map.removeLayer(this._badgeLayer);
+    this._badgeLayer = null;
+  },
+
+  // Tap a badge: stop cycling, show that region (and its worst alert); "All regions" goes back
+  _zoomToRegion(region) {
+    this._stopAlertCycle();
+    this._overviewFocus = region;
+    const idx = this.alertQueue.findIndex(q => q.region === region);
+    if (idx >= 0) { this._focusAlert(idx); return; }
+    this.alertData = null;
+    this.alertRegion = region;
+    this._renderAlertTitle(this._root);
+    this.drawAlertGeometry(null);
+    if (this._map) this._fitAlertOrRegion(this._map);
+  },
+
+  _renderOverviewBack() {
+    const container = this._map.getContainer();
+    let btn = container.querySelector(".radar-overview-back");
+    if (!this._overviewFocus) { if (btn) btn.remove(); return; }
+    if (btn) return;
+    btn = document.createElement("div");
+    btn.className = "radar-overview-back";
+    btn.textContent = "All regions";
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this._overviewFocus = null;
+      if (this._map) this._fitAlertOrRegion(this._map);
+    });
+    container.appendChild(btn);
+  },
+
+  clearRegionOverlays() {
+    if (this._overlayLayer && this._map) this._map.removeLayer(this._overlayLayer);
+    this._overlayLayer = null;
+    this._overlayRegion = null;
+  },
+
+  // Labels-only tiles in their own pane above the radar frames and alert polygons
+  _ensureLabelsLayer(maxZoom) {
+    const L = this._L || (typeof window !== "undefined" ? window.L : undefined);
+    const url = this._nonEmptyString(this._leafletCfg().labelsUrl);
+    if (!L || !this._map || !url || this._labels) return;
+    if (!this._map.getPane("radar-labels")) {
+      const pane = this._map.createPane("radar-labels");
+      pane.style.zIndex = 450;
+      pane.style.pointerEvents = "none";
+    }
+    this._labels = L.tileLayer(this._tileUrl(url), { pane: "radar-labels", subdomains: "abcd", maxZoom }).addTo(this._map);
+  },
+
+  /* ---------- storm motion ---------- */
+  // Move lat/lon `km` along compass `heading` (flat-earth; fine at storm scales)
+  _project(lat, lon, km, heading) {
+    const h = heading * Math.PI / 180;
+    return [lat + km * Math.cos(h) / 110.57, lon + km * Math.sin(h) / (111.32 * Math.cos(lat * Math.PI / 180))];
+  },
+
+  _compass(deg) { return ["N", "NE", "E", "SE", "S", "SW", "W", "NW"][Math.round((((deg % 360) + 360) % 360) / 45) % 8]; },
+
+  // → { heading, speedKmh, hoursSince, points, closestKm, closestBearing, etaMin } from alert.properties.motion.
+  // Closest approach is taken over every reported storm point (a line of storms has several).
+  _stormMotion(alert, region) {
+    const mo = alert?.properties?.motion;
+    const t0 = Date.parse(mo?.time || "");
+    if (!mo || !Array.isArray(mo.points) || !mo.points.length || !Number.isFinite(t0)) return null;
+    const out = { heading: mo.heading, speedKmh: mo.speedKmh, hoursSince: (Date.now() - t0) / 3600000, points: mo.points,
+                  closestKm: null, closestBearing: null, etaMin: null };
+    if (!region || !Number.isFinite(region.lat) || !Number.isFinite(region.lon)) return out;
+
+    const h = mo.heading * Math.PI / 180;
+    const u = [Math.sin(h), Math.cos(h)]; // unit vector, x east / y north
+    const kx = 111.32 * Math.cos(region.lat * Math.PI / 180);
+    for (const [lat, lon] of mo.points) {
+      const d = [(lon - region.lon) * kx, (lat - region.lat) * 110.57]; // storm relative to region, km
+      const along = -(d[0] * u[0] + d[1] * u[1]);                      // km to travel until closest
+      const c = [d[0] + u[0] * along, d[1] + u[1] * along];            // closest point relative to region
+      const dist = Math.hypot(c[0], c[1]);
+      if (out.closestKm !== null && dist >= out.closestKm) continue;
+      out.closestKm = dist;
+      out.closestBearing = Math.atan2(c[0], c[1]) * 180 / Math.PI;
+      out.etaMin = mo.speedKmh > 0 ? (along / mo.speedKmh - out.hoursSince) * 60 : null;
+    }
+    return out;
+  },
+
+  // "Arriving in ~18 min" / "Closest ~6 mi to the N in ~25 min" / "Moving away", plus direction and speed
+  _motionText(m) {
+    if (!m) return "";
+    const imperial = this.config.units === "imperial";
+    const dist  = (km) => imperial ? `${Math.round(km / 1.609)} mi` : `${Math.round(km)} km`;
+    const speed = imperial ? `${Math.round(m.speedKmh / 1.609)} mph` : `${Math.round(m.speedKmh)} km/h`;
+    const moving = m.speedKmh > 0 ? `moving ${this._compass(m.heading)} at ${speed}` : "nearly stationary";
+    if (m.etaMin === null) return moving.charAt(0).toUpperCase() + moving.slice(1);
+
+    const arriveKm = Math.max(Number(this.config.motionArrivalKm) || 0, Number(this.alertRegion?.radiusKm) || 0);
+    const mins = Math.round(m.etaMin);
+    let when;
+    if (m.etaMin < 0) {
+      // Past closest approach: still over the area, or gone
+      const nowKm = Math.hypot(m.closestKm, (-m.etaMin / 60) * m.speedKmh);
+      when = nowKm <= arriveKm ? "Overhead now" : "Moving away";
+    } else if (m.closestKm <= arriveKm) when = mins <= 0 ? "Arriving now" : `Arriving in ~${mins} min`;
+    else when = `Closest ~${dist(m.closestKm)} to the ${this._compass(m.closestBearing)} in ~${mins} min`;
+    return `${when} · ${moving}`;
+  },
+
+  // Current storm position(s), projected track with 15-min ticks and an arrowhead
+  _drawStormMotion(alert) {
+    const L = this._L || (typeof window !== "undefined" ? window.L : undefined);
+    const minutes = Number(this._leafletCfg().motionTrackMinutes) || 0;
+    const m = this.config.stormMotion ? this._stormMotion(alert, null) : null;
+    if (!L || !this._map || !m || minutes <= 0) return;
+
+    const color = this._alertColor(alert.properties?.event);
+    const group = L.layerGroup();
+    const now = m.points.map(([lat, lon]) => this._project(lat, lon, m.speedKmh * m.hoursSince, m.heading));
+    if (now.length > 1) L.polyline(now, { color, weight: 3, opacity: 0.9, interactive: false }).addTo(group);
+
+    for (const p of now) {
+      L.circleMarker(p, { radius: 4, color: "#fff", weight: 1, fillColor: color, fillOpacity: 1, interactive: false }).addTo(group);
+      if (!(m.speedKmh > 0)) continue;
+      const trackKm = m.speedKmh * minutes / 60;
+      const end = this._project(p[0], p[1], trackKm, m.heading);
+      L.polyline([p, end], { color, weight: 2, opacity: 0.9, dashArray: "6 6", interactive: false }).addTo(group);
+      for (let t = 15; t < minutes; t += 15) {
+        const tick = this._project(p[0], p[1], m.speedKmh * t / 60, m.heading);
+        L.circleMarker(tick, { radius: 2, color, weight: 1, fillColor: color, fillOpacity: 1, interactive: false }).addTo(group);
+      }
+      const headKm = Math.max(trackKm * 0.12, 1);
+      L.polyline([
+        this._project(end[0], end[1], headKm, m.heading + 150),
+        end,
+        this._project(end[0], end[1], headKm, m.heading - 150)
+      ], { color, weight: 2, opacity: 0.9, interactive: false }).addTo(group);
+    }
+    this._motionLayer = group.addTo(this._map);
+  },
+
+  /* ---------- lightning ---------- */
+  _startLightning() {
+    const LC = this._lightningCfg();
+    if (!LC.enabled || (!this._nonEmptyString(LC.url) && !this._nonEmptyString(LC.websocket))) return;
+    this._stopLightning();
+    if (this._nonEmptyString(LC.websocket)) this._connectLightningSocket(LC.websocket.trim(), 0);
+
+    // Poll the endpoint; with only a websocket this still ages strikes out of the trigger radius
+    const poll = () => (this._nonEmptyString(LC.url) ? this._pollLightning(LC) : this._updateLightning());
+    poll();
+    this.lightningTimer = setInterval(poll, this._nonEmptyString(LC.url) ? Math.max(10000, LC.pollInterval) : 30 * 1000);
+  },
+
+  async _pollLightning(LC) {
+    try {
+      const res = await this.proxyFetch(LC.url.trim(), Math.max(5000, LC.pollInterval / 2), true);
+      if (res?.ok && res.body) this._addStrikes(JSON.parse(res.body));
+    } catch (e) { Log.warn(`${this.name} lightning fetch failed:`, e); }
+    this._updateLightning();
+  },
+
+  // Reconnect with backoff (5 s doubling to 60 s) when the feed drops
+  _connectLightningSocket(url, attempt) {
+    if (typeof WebSocket === "undefined") return;
+    let ws;
+    try { ws = new WebSocket(url); } catch (e) { Log.warn(`${this.name} lightning websocket:`, e); return; }
+    this._lightningSocket = ws;
+    ws.onopen = () => { attempt = 0; };
+    ws.onmessage = (ev) => {
+      try { this._addStrikes(JSON.parse(ev.data)); } catch (e) { return; }
+      this._updateLightning();
+    };
+    ws.onclose = () => {
+      if (this._lightningSocket !== ws) return;
+      this._lightningRetry = setTimeout(() => this._connectLightningSocket(url, attempt + 1), Math.min(60000, 5000 * 2 ** attempt));
+    };
+  },
+
+  _stopLightning() {
+    if (this.lightningTimer) { clearInterval(this.lightningTimer); this.lightningTimer = null; }
+    if (this._lightningRetry) { clearTimeout(this._lightningRetry); this._lightningRetry = null; }
+    const ws = this._lightningSocket;
+    this._lightningSocket = null; // before close(), so onclose doesn't reconnect
+    if (ws) { try { ws.close(); } catch (e) { /* already closed */ } }
+  },
+
+  // epoch s / ms / µs / ns or ISO string → ms
+  _strikeTime(v) {
+    if (typeof v === "string" && !/^\d+$/.test(v)) { const t = Date.parse(v); return Number.isFinite(t) ? t : Date.now(); }
+    const n = Number(v);
+    if (!Number.isFinite(n) || n <= 0) return Date.now();
+    if (n > 1e17) return n / 1e6;
+    if (n > 1e14) return n / 1e3;
+    if (n > 1e11) return n;
+    return n * 1000;
+  },
+
+  _addStrikes(data) {
+    const LC = this._lightningCfg();
+    let items = data;
+    if (LC.itemsPath) items = String(LC.itemsPath).split(".").reduce((o, k) => (o == null ? o : o[k]), data);
+    if (items && items.type === "FeatureCollection") items = items.features;
+    items = [].concat(items || []);
+
+    for (const it of items) {
+      if (!it || typeof it !== "object") continue;
+      let lat, lon, time;
+      if (it.type === "Feature" && it.geometry?.type === "Point") {
+        [lon, lat] = it.geometry.coordinates || [];
+        const p = it.properties || {};
+        time = p.time ?? p.timestamp ?? p.ts ?? p.t;
+      } else {
+        lat = it.lat ?? it.latitude;
+        lon = it.lon ?? it.lng ?? it.longitude;
+        time = it.time ?? it.timestamp ?? it.ts ?? it.t;
+      }
+      lat = Number(lat); lon = Number(lon);
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+      const t = this._strikeTime(time);
+      const key = `${lat.toFixed(4)},${lon.toFixed(4)},${Math.round(t)}`;
+      if (!this._strikes.has(key)) this._strikes.set(key, { lat, lon, t });
+    }
+  },
+
+  _distanceKm(lat1, lon1, lat2, lon2) {
+    const r = Math.PI / 180;
+    const a = Math.sin((lat2 - lat1) * r / 2) ** 2 +
+      Math.cos(lat1 * r) * Math.cos(lat2 * r) * Math.sin((lon2 - lon1) * r / 2) ** 2;
+    return 12742 * Math.asin(Math.sqrt(a));
+  },
+
+  // Prune old strikes, work out which region (if any) is inside the trigger radius, and react to changes
+  _updateLightning() {
+    const LC = this._lightningCfg();
+    const now = Date.now();
+    const keepMs = LC.maxAgeMinutes * 60000;
+    for (const [key, st] of this._strikes) if (now - st.t > keepMs) this._strikes.delete(key);
+    while (this._strikes.size > 5000) this._strikes.delete(this._strikes.keys().next().value);
+
+    const recentMs = LC.triggerMinutes * 60000;
+    let best = null;
+    for (const region of this.config.regions || []) {
+      if (!region || !Number.isFinite(region.lat) || !Number.isFinite(region.lon)) continue;
+      let count = 0, nearestKm = Infinity, latest = 0;
+      for (const st of this._strikes.values()) {
+        if (now - st.t > recentMs) continue;
+        const d = this._distanceKm(region.lat, region.lon, st.lat, st.lon);
+        if (d > LC.triggerRadiusKm) continue;
+        count++;
+        nearestKm = Math.min(nearestKm, d);
+        latest = Math.max(latest, st.t);
+      }
+      if (count >= Math.max(1, LC.triggerCount) && (!best || nearestKm < best.nearestKm)) best = { region, count, nearestKm, latest };
+    }
+
+    const was = this.lightningActive;
+    this.lightningActive = !!best;
+    this.lightningInfo = best;
+    this._scheduleLightningDraw();
+
+    if (this.lightningActive !== was) {
+      if (!this.lightningActive) this._lightningAck = false;
+      this.sendNotification("RADAR_ALERT_LIGHTNING", Object.assign({ instance: this._instanceName(), active: this.lightningActive },
+        best ? { region: best.region, count: best.count, nearestKm: Math.round(best.nearestKm * 10) / 10 } : {}));
+      // New lightning is loud on its own, but shouldn't re-announce an alert that's already up
+      this.handleAlertStatus(this.lightningActive && !this.alertActive);
+    } else if (this.lightningActive) {
+      const root = this._root;
+      if (root && root.classList.contains("visible")) this._renderAlertTitle(root);
+    }
+  },
+
+  // "8 strikes within 15 km · nearest 3 mi, 2 min ago"
+  _lightningText() {
+    const info = this.lightningInfo;
+    if (!info) return "";
+    const LC = this._lightningCfg();
+    const imperial = this.config.units === "imperial";
+    const dist = (km) => imperial ? `${Math.max(1, Math.round(km / 1.609))} mi` : `${Math.max(1, Math.round(km))} km`;
+    const ago = Math.max(0, Math.round((Date.now() - info.latest) / 60000));
+    return `${info.count} strike${info.count === 1 ? "" : "s"} within ${dist(LC.triggerRadiusKm)} · nearest ${dist(info.nearestKm)}, ${ago ? `${ago} min ago` : "just now"}`;
+  },
+
+  // Pseudo-alert so sounds/speech can be configured under alertSounds["Lightning"]
+  _lightningCue() {
+    return this.lightningActive ? { properties: { event: "Lightning", severity: "Minor" } } : null;
+  },
+
+  _scheduleLightningDraw() {
+    if (this._lightningDrawTimer || !this._map) return;
+    this._lightningDrawTimer = setTimeout(() => { this._lightningDrawTimer = null; this._drawLightning(); }, 2000);
+  },
+
+  // Newest strikes white, then yellow, orange and red, fading out as they reach maxAgeMinutes
+  _drawLightning() {
+    const L = this._L || (typeof window !== "undefined" ? window.L : undefined);
+    this.clearLightning();
+    if (!L || !this._map || !this._lightningCfg().enabled || !this._rvProvider) return;
+    const maxMs = this._lightningCfg().maxAgeMinutes * 60000;
+    const now = Date.now();
+    const group = L.layerGroup();
+    const strikes = Array.from(this._strikes.values()).sort((a, b) => a.t - b.t).slice(-1500);
+    for (const st of strikes) {
+      const age = now - st.t;
+      const color = age < 5 * 60000 ? "#ffffff" : age < 10 * 60000 ? "#ffff00" : age < 20 * 60000 ? "#ffa500" : "#ff4500";
+      const opacity = Math.max(0.15, 1 - age / maxMs);
+      L.circleMarker([st.lat, st.lon], { radius: 3, color, weight: 1, opacity, fillColor: color, fillOpacity: opacity, interactive: false }).addTo(group);
+    }
+    this._lightningLayer = group.addTo(this._map);
+  },
+
+  clearLightning() {
+    if (this._lightningLayer && this._map) this._map.removeLayer(this._lightningLayer);
+    this._lightningLayer = null;
+  },
+
+  /* ---------- status view (between alerts) ---------- */
+  _statusRegion() {
+    return this.selectedRegion || (this.config.regions || []).find(r => r && typeof r === "object" && Number.isFinite(r.lat)) || null;
+  },
+
+  // Latest radar image for the status view; RainViewer's static API unless thumbnailUrl is set
+  async _statusThumbnail(region) {
+    const SC = this._statusCfg();
+    if (!region || !Number.isFinite(region.lat) || !Number.isFinite(region.lon)) return null;
+    if (this._nonEmptyString(SC.thumbnailUrl)) {
+      return this._tileUrl(SC.thumbnailUrl.trim()
+        .replace("{lat}", region.lat).replace("{lon}", region.lon)
+        .replace("{radarSite}", region.radarSite || "KTLX"));
+    }
+    const frames = await this._rainviewerFrames();
+    const latest = frames.filter(f => !f.nowcast).pop();
+    if (!latest) return null;
+    // Tile template → static image: /256/{z}/{x}/{y}/2/1_0.png → /<size>/<zoom>/<lat>/<lon>/2/1_0.png
+    return latest.url.replace(/\/\d+\/\{z\}\/\{x\}\/\{y\}\//, `/${SC.thumbnailSize}/${SC.thumbnailZoom}/${region.lat}/${region.lon}/`);
+  },
+
+  _renderStatus() {
+    const SC = this._statusCfg();
+    const el = this._statusEl;
+    if (!SC.enabled || !el) return;
+
+    const now = Date.now();
+    const fmt = (t) => new Date(t).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+    const rows = []
+      .concat(this.alertQueue.map(q => ({ region: q.region, alert: q.alert, high: true })))
+      .concat((this.lowTier || []).map(q => ({ region: q.region, alert: q.alert, high: false })))
+      .filter(q => { const end = this._alertEndTime(q.alert); return !end || end > now; });
+
+    // Feed and config text goes in as textContent
+    const text = el.querySelector(".radar-status-text");
+    const add = (parent, tag, className, content) => {
+      const node = document.createElement(tag);
+      if (className) node.className = className;
+      if (content) node.textContent = content;
+      parent.appendChild(node);
+      return node;
+    };
+    if (!rows.length && !SC.showAllClear) { el.style.display = "none"; return; }
+    text.textContent = "";
+    if (!rows.length) {
+      add(text, "div", "radar-status-clear", "\u2713 All clear");
+      const names = (this.config.regions || []).map(r => (typeof r === "object" ? r.name || r.zone : r)).filter(Boolean);
+      if (names.length) add(text, "div", "radar-status-sub", names.join(" · "));
+    } else {
+      // Grouped by region, in the order regions are configured
+      const groups = new Map();
+      for (const q of rows.slice(0, Math.max(1, SC.maxItems))) {
+        const name = (q.region && (q.region.name || q.region.zone)) || "";
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(q);
+      }
+      for (const [name, items] of groups) {
+        if (name && groups.size > 1) add(text, "div", "radar-status-region", String(name));
+        for (const q of items) {
+          const p = q.alert.properties || {};
+          const end = this._alertEndTime(q.alert);
+          const row = add(text, "div", `radar-status-item${q.high ? " is-high" : ""}`);
+          add(row, "i").style.background = this._alertColor(p.event);
+          row.appendChild(document.createTextNode(p.event || "Alert"));
+          if (end) add(row, "span", "radar-status-until", ` until ${fmt(end)}`);
+        }
+      }
+      if (rows.length > SC.maxItems) add(text, "div", "radar-status-sub", `+${rows.length - SC.maxItems} more`);
+    }
+    if (this.lastPoll) add(text, "div", "radar-status-sub", `Updated ${fmt(this.lastPoll)}${this.lastError ? " \u00b7 feed error" : ""}`);
+
+    el.style.display = "";
+
+    const img = el.querySelector(".radar-status-thumb");
+    if (!SC.thumbnail) { img.style.display = "none"; return; }
+    if (this._thumbUrl) return;
+    this._statusThumbnail(this._statusRegion()).then(url => {
+      if (!url) { img.style.display = "none"; return; }
+      this._thumbUrl = url;
+      img.src = url;
+      img.style.display = "";
+    }).catch(() => { img.style.display = "none"; });
+  },
+
+  // Recent alerts from the helper's history, newest first: when, what, where, how long, what the mirror did
+  _renderHistory() {
+    const HC = this._historyCfg();
+    const el = this._historyEl;
+    if (!HC.enabled || !HC.show || !el) return;
+
+    const since = Date.now() - HC.showHours * 60 * 60 * 1000;
+    const rows = (this.history || [])
+      .filter(r => (HC.showLowTier || r.tier !== "low") && Date.parse(r.lastSeen) >= since)
+      .slice(0, Math.max(1, HC.showItems));
+    if (!rows.length) { el.style.display = "none"; return; }
+
+    const today = new Date().toDateString();
+    const fmt = (t) => {
+      const d = new Date(t);
+      return d.toLocaleString([], d.toDateString() === today ? { hour: "numeric", minute: "2-digit" } : { weekday: "short", hour: "numeric", minute: "2-digit" });
+    };
+    const lasted = (a, b) => {
+      const m = Math.max(1, Math.round((Date.parse(b) - Date.parse(a)) / 60000));
+      return m < 60 ? `${m} min` : `${Math.floor(m / 60)} h${m % 60 ? ` ${m % 60} min` : ""}`;
+    };
+    let html = "<div class=\"radar-history-title\">Recent alerts</div>";
+    for (const r of rows) {
+      const did = r.tier === "low" ? ["not in alertTypes"]
+        : [r.shown ? "shown" : "not shown", r.acknowledged && "acknowledged", r.snoozed && "snoozed"].filter(Boolean);
+      const span = r.ended ? lasted(r.firstSeen, r.ended) : "active";
+      html += `<div class="radar-history-item${r.tier === "low" ? " is-low" : ""}${r.ended ? "" : " is-active"}">` +
+        `<span class="radar-history-time">${fmt(r.firstSeen)}</span>` +
+        `<i style="background:${this._alertColor(r.event)}"></i>${this._esc(r.event || "Alert")}` +
+        (r.region ? ` <span class="radar-history-region">${this._esc(r.region)}</span>` : "") +
+        ` <span class="radar-history-sub">${span} \u00b7 ${did.join(", ")}</span></div>`;
+    }
+    el.style.display = "";
+    el.innerHTML = html;
+  },
+
+  /* ---------- concurrent alerts ---------- */
+  _renderAlertTitle(root) {
+    const title = root && root.querySelector(".radar-title");
+    if (!title) return;
+    const lightning = this.lightningActive ? this._lightningText() : "";
+    const lightningOnly = !this.alertData && lightning && !this._manualShow;
+    const ev  = this._esc(this.alertData?.properties?.event || (lightningOnly && "Lightning nearby") || (this.alertRegion && this.alertRegion.name) || "Severe Weather");
+    const sub = this._esc(this.alertData?.properties?.headline || this.alertData?.properties?.description || (lightningOnly ? lightning : ""));
+    const n = this.alertQueue.length;
+    let count = "";
+    if (n > 1) {
+      count = ` <span class="radar-count">${this.alertIndex + 1} of ${n}</span>`;
+      if (!this.config.alertCycle) {
+        const others = this.alertQueue.slice(1).map(q => this._esc(`${q.alert.properties.event}${q.region?.name ? ` (${q.region.name})` : ""}`));
+        count += `<div class="radar-others">Also active: ${others.join(", ")}</div>`;
+      }
+    }
+    const where = (n > 1 && this.alertRegion?.name) ? ` — ${this._esc(this.alertRegion.name)}` : "";
+    const motion = this.config.stormMotion ? this._motionText(this._stormMotion(this.alertData, this.alertRegion)) : "";
+    const motionHtml = motion ? `<div class="radar-motion">${motion}</div>` : "";
+    const lightningHtml = (lightning && !lightningOnly) ? `<div class="radar-lightning">\u26a1 ${lightning}</div>` : "";
+    const whereLightning = (lightningOnly && this.alertRegion?.name) ? ` — ${this._esc(this.alertRegion.name)}` : where;
+    const sim = this.simulation
+      ? `<div class="radar-sim">Simulation: ${this._esc(this.simulation.name)} (${this.simulation.step}/${this.simulation.steps}${this.simulation.label ? ` \u00b7 ${this._esc(this.simulation.label)}` : ""})</div>`
+      : "";
+    title.innerHTML = `${sim}<strong>${ev}</strong>${whereLightning}${count}${motionHtml}${lightningHtml}<br/>${sub}`;
+  },
+
+  // Switch the panel to queue entry i (wraps); re-centres the map on that alert's region
+  _focusAlert(i) {
+    const n = this.alertQueue.length;
+    if (!n) return;
+    const prevRegion = this.alertRegion;
+    this.alertIndex  = ((i % n) + n) % n;
+    this.alertData   = this.alertQueue[this.alertIndex].alert;
+    this.alertRegion = this.alertQueue[this.alertIndex].region;
+
+    const root = this._root || document.getElementById(`${this.identifier}-radar-root`);
+    this._renderAlertTitle(root);
+    this._markHistory([this._currentItem()], "shown");
+    if (root && root.classList.contains("radar-compact")) return;
+
+    // Tile providers are region-independent: same provider just re-centres; anything else redraws
+    const provider = this._radarProvider(this.alertRegion);
+    const active = this._radarActive;
+    if (active && active.provider === provider && provider.kind === "tiles" && this._map) {
+      this.drawAlertGeometry(this.alertData);
+      this._fitAlertOrRegion(this._map);
+      return;
+    }
+    if (active && active.provider === provider && this.alertRegion === prevRegion) return;
+
+    const holder = root && root.querySelector(`#${this.identifier}-radar-img-holder`);
+    if (holder) this._renderRadar(holder, this.alertRegion);
+  },
+
+  _stopAlertCycle() {
+    if (this.cycleTimer) { clearInterval(this.cycleTimer); this.cycleTimer = null; }
+    if (this.motionTimer) { clearInterval(this.motionTimer); this.motionTimer = null; }
+  },
+
   hideRadar(immediate = false) {
-    if (this.config.radarProvider === "leaflet") this.stopLeaflet();
+    this._showToken = (this._showToken || 0) + 1; // a show still loading gives up
+    this._manualShow = false;
+    this._overviewFocus = null;
+    this._stopAlertCycle();
+    if (this._map) this.stopLeaflet();
     if (this._rvTimer) { clearInterval(this._rvTimer); this._rvTimer = null; }
+    this._radarActive = null;
 
     if (this.hideTimer) { clearTimeout(this.hideTimer); this.hideTimer = null; }
 
@@ -553,50 +2196,267 @@ Module.register("MMM-RadarAlert", {
     if (!root) return;
 
     const border = root.querySelector(".radar-border");
-    if (border) border.classList.remove("flash-border");
+    if (border) border.classList.remove("flash-border", "steady-border");
 
     root.classList.remove("slide-in");
     void root.offsetWidth;
     root.classList.add("slide-out");
 
     setTimeout(() => {
-      root.classList.remove("slide-out", "visible");
+      root.classList.remove("slide-out", "visible", "radar-compact");
       root.style.display = "none";
     }, immediate ? 0 : 500);
   },
 
-  playAudioCue() {
+  /* ---------- quiet hours ---------- */
+  // "22:30" → minutes after midnight
+  _clockMinutes(v) {
+    const m = String(v || "").match(/^(\d{1,2}):(\d{2})$/);
+    return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+  },
+
+  // Windows may wrap midnight; `days` is checked against the day the window started
+  _inQuietHours(date = new Date()) {
+    const QC = this._quietCfg();
+    if (!QC.enabled) return false;
+    const now = date.getHours() * 60 + date.getMinutes();
+    const today = date.getDay();
+    return [].concat(QC.windows || []).some(w => {
+      const start = this._clockMinutes(w && w.start), end = this._clockMinutes(w && w.end);
+      if (start === null || end === null || start === end) return false;
+      const days = Array.isArray(w.days) && w.days.length ? w.days : null;
+      if (start < end) return now >= start && now < end && (!days || days.includes(today));
+      if (now >= start) return !days || days.includes(today);
+      return now < end && (!days || days.includes((today + 6) % 7));
+    });
+  },
+
+  _breaksThrough(alert) {
+    const QC = this._quietCfg();
+    const p = alert?.properties || {};
+    return [].concat(QC.breakThroughEvents || []).includes(p.event)
+      || [].concat(QC.breakThroughSeverities || []).includes(p.severity);
+  },
+
+  // null when the alert gets the normal treatment, else "silent" / "compact"
+  _quietMode(alert) {
+    if (!alert || !this._inQuietHours() || this._breaksThrough(alert)) return null;
+    return this._quietCfg().mode === "compact" ? "compact" : "silent";
+  },
+
+  // What a repeat would open on: the worst queued alert, or lightning
+  _worstActive() {
+    return this.alertQueue.length ? this.alertQueue[0].alert : this._lightningCue();
+  },
+
+  /* ---------- audio ---------- */
+  _soundProfile(alert) {
+    const p = alert?.properties || {};
+    const per = (this.config.alertSounds || {})[p.event] || {};
+    return {
+      file:   this._nonEmptyString(per.file) || this.config.soundFile,
+      volume: Number.isFinite(per.volume) ? per.volume : (Number.isFinite(this.config.soundVolume) ? this.config.soundVolume : 0.8),
+      repeat: Math.max(1, parseInt(per.repeat ?? this.config.soundRepeat, 10) || 1),
+      escalate: (typeof per.escalate === "boolean") ? per.escalate
+        : (Array.isArray(this.config.escalateSeverities) && this.config.escalateSeverities.includes(p.severity))
+    };
+  },
+
+  // Volume grows by escalateVolumeStep for every unacknowledged repeat of an escalating alert
+  _soundVolume(alert, profile) {
+    const item = alert ? this.alertQueue.find(q => q.alert === alert) : null;
+    const steps = (profile.escalate && item && !item.acknowledged) ? Math.max(0, (this._announced[item.key] || 1) - 1) : 0;
+    const max = Number.isFinite(this.config.escalateMaxVolume) ? this.config.escalateMaxVolume : 1;
+    return Math.max(0, Math.min(max, 1, profile.volume + steps * (this.config.escalateVolumeStep || 0)));
+  },
+
+  playAudioCue(alert = this.alertData, region = this.alertRegion) {
+    if (this._quietMode(alert)) return;
+    if (!this.config.playSound) { this.speakAlert(alert, region); return; }
+    const profile = this._soundProfile(alert);
+    // Whatever breaks through quiet hours does so at full volume
+    const volume  = (this._inQuietHours() && this._breaksThrough(alert)) ? 1 : this._soundVolume(alert, profile);
+
     const tryFile = () => new Promise((resolve, reject) => {
+      let timer = null;
+      const done = () => { clearTimeout(timer); resolve(); };
+      // A file that stalls fires neither canplaythrough nor error: give up on it (and on a stuck playback)
+      const watchdog = (ms) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => { try { audio.pause(); } catch (e) { /* gone */ } resolve(); }, ms);
+      };
+      let audio;
       try {
-        const audio = new Audio(this.config.soundFile);
-        audio.volume = 0.8;
-        audio.oncanplaythrough = () => resolve(audio.play().catch(() => resolve()));
-        audio.onerror = () => reject(new Error("audio file load error"));
+        audio = new Audio(profile.file);
+        let left = profile.repeat;
+        audio.volume = volume;
+        audio.oncanplaythrough = () => {
+          audio.oncanplaythrough = null; // fires again after rewinding
+          watchdog(Number.isFinite(audio.duration) ? (audio.duration * left + 5) * 1000 : 60 * 1000);
+          audio.play().catch(done);
+        };
+        audio.onended = () => {
+          if (--left > 0) { audio.currentTime = 0; audio.play().catch(done); }
+          else done();
+        };
+        audio.onerror = () => { clearTimeout(timer); reject(new Error("audio file load error")); };
+        watchdog(10 * 1000);
         audio.load();
-      } catch (e) { reject(e); }
+      } catch (e) { clearTimeout(timer); reject(e); }
     });
-    const beep = () => {
+    const beep = () => new Promise((resolve) => {
       try {
         const ctx = new (window.AudioContext || window.webkitAudioContext)();
-        const o = ctx.createOscillator();
-        const g = ctx.createGain();
-        o.type = "sine"; o.frequency.value = 880;
-        o.connect(g); g.connect(ctx.destination);
-        g.gain.setValueAtTime(0.0, ctx.currentTime);
-        g.gain.linearRampToValueAtTime(0.2, ctx.currentTime + 0.02);
-        g.gain.exponentialRampToValueAtTime(0.0001, ctx.currentTime + 0.35);
-        o.start(); o.stop(ctx.currentTime + 0.4);
-      } catch (e) {}
-    };
-    tryFile().catch(beep);
+        for (let i = 0; i < profile.repeat; i++) {
+          const t = ctx.currentTime + i * 0.6;
+          const o = ctx.createOscillator();
+          const g = ctx.createGain();
+          o.type = "sine"; o.frequency.value = 880;
+          o.connect(g); g.connect(ctx.destination);
+          g.gain.setValueAtTime(0.0, t);
+          g.gain.linearRampToValueAtTime(0.25 * volume, t + 0.02);
+          g.gain.exponentialRampToValueAtTime(0.0001, t + 0.35);
+          o.start(t); o.stop(t + 0.4);
+        }
+        setTimeout(resolve, profile.repeat * 600);
+      } catch (e) { resolve(); }
+    });
+    tryFile().catch(beep).then(() => this.speakAlert(alert, region));
+  },
+
+  speakAlert(alert = this.alertData, region = this.alertRegion) {
+    if (!this.config.speakAlerts || typeof window === "undefined" || !window.speechSynthesis || !alert) return;
+    try {
+      const p = alert.properties || {};
+      const end = this._alertEndTime(alert);
+      const parts = [p.event || "Severe weather alert"];
+      if (region && region.name) parts[0] += ` for ${region.name}`;
+      if (end) parts.push(`until ${new Date(end).toLocaleTimeString(this.config.speechLang || [], { hour: "numeric", minute: "2-digit" })}`);
+
+      const u = new SpeechSynthesisUtterance(parts.join(", "));
+      if (this.config.speechLang) u.lang = this.config.speechLang;
+      u.rate = Number.isFinite(this.config.speechRate) ? this.config.speechRate : 1;
+      u.volume = this._soundVolume(alert, this._soundProfile(alert));
+      if (this.config.speechVoice) {
+        const want = String(this.config.speechVoice).toLowerCase();
+        const voice = window.speechSynthesis.getVoices().find(v => v.name.toLowerCase().includes(want));
+        if (voice) u.voice = voice;
+      }
+      window.speechSynthesis.cancel();
+      window.speechSynthesis.speak(u);
+    } catch (e) { Log.warn(`${this.name} speech failed:`, e); }
+  },
+
+  // Tap/dismiss: stop escalating whatever is currently queued (on every mirror)
+  _acknowledgeAlerts() {
+    this.alertQueue.forEach(q => { q.acknowledged = true; });
+    if (this.pollerKey) {
+      this.sendSocketNotification("RADAR_ALERT_ACK", { poller: this.pollerKey, keys: this.alertQueue.map(q => q.key) });
+    }
+  },
+
+  /* ---------- notification API (other modules / MMM-Remote-Control) ---------- */
+  _instanceName() {
+    return this.config.instanceName || this.identifier;
+  },
+
+  // Untargeted payloads are for every instance; { instance } picks one by instanceName or identifier
+  _isForMe(payload) {
+    const want = (payload && typeof payload === "object") ? payload.instance : undefined;
+    return want === undefined || want === null || want === "" || want === this.identifier || want === this.config.instanceName;
+  },
+
+  _broadcastAlert(notification, alert, region, previous = null) {
+    if (!this.sendNotification) return;
+    const payload = { instance: this._instanceName(), alert, region, count: this.alertQueue.length };
+    if (previous) payload.previous = previous;
+    this.sendNotification(notification, payload);
+  },
+
+  // region ref: name, zone or index into config.regions
+  _findRegion(ref) {
+    if (ref === undefined || ref === null || ref === "") return null;
+    if (typeof ref === "object") return ref;
+    const regions = this.config.regions || [];
+    if (Number.isInteger(ref) || /^\d+$/.test(String(ref))) return regions[Number(ref)] || null;
+    const want = String(ref).toLowerCase();
+    return regions.find(r => typeof r === "object" && [r.name, r.zone].some(v => v && String(v).toLowerCase() === want))
+      || regions.find(r => typeof r === "string" && r.toLowerCase() === want) || null;
+  },
+
+  _isSnoozed() {
+    return !!this.snoozeUntil && Date.now() < this.snoozeUntil;
+  },
+
+  dismissAlert(source = "notification") {
+    this._acknowledgeAlerts();
+    this.alertActive = false;
+    if (this.lightningActive) this._lightningAck = true; // until the strikes clear and come back
+    if (this.repeatTimer) { clearInterval(this.repeatTimer); this.repeatTimer = null; }
+    this.hideRadar(true);
+    this.sendNotification("RADAR_ALERT_USER_DISMISS", { instance: this._instanceName(), source });
+  },
+
+  // payload: { minutes } or { duration } (ms); default 30 min. New/upgraded alerts still break through.
+  snooze(payload = {}) {
+    const opts = (payload && typeof payload === "object") ? payload : { minutes: Number(payload) };
+    const ms = Number.isFinite(opts.duration) ? opts.duration
+      : (Number.isFinite(opts.minutes) ? opts.minutes : 30) * 60 * 1000;
+    this.snoozeUntil = Date.now() + ms;
+    this._markHistory(this.alertQueue, "snoozed");
+    this._acknowledgeAlerts();
+    this.hideRadar(true);
+    this.sendNotification("RADAR_ALERT_SNOOZED", { instance: this._instanceName(), until: new Date(this.snoozeUntil).toISOString() });
+  },
+
+  // payload (optional): { region } — jump to that region's alert, or just show its radar
+  showNow(payload = {}) {
+    const opts = (payload && typeof payload === "object") ? payload : { region: payload };
+    const region = this._findRegion(opts.region) || this.selectedRegion;
+    this.snoozeUntil = 0;
+
+    const idx = region ? this.alertQueue.findIndex(q => q.region === region) : 0;
+    if (this.alertQueue.length && idx >= 0) { this.showRadar(idx); return; }
+
+    this.alertData   = null;
+    this.alertRegion = region || this.config.regions[0] || null;
+    this._manualShow = true;
+    this.showRadar();
+  },
+
+  setRegion(payload) {
+    const region = this._findRegion((payload && typeof payload === "object") ? payload.region : payload);
+    if (!region) { Log.warn(`${this.name} RADAR_ALERT_SET_REGION: unknown region`, payload); return; }
+    this.selectedRegion = region;
+    this._thumbUrl = null;
+    this._renderStatus();
+
+    const root = this._root || document.getElementById(`${this.identifier}-radar-root`);
+    if (!root || !root.classList.contains("visible")) return;
+    if (this._overviewOn()) { this._zoomToRegion(region); return; }
+    const idx = this.alertQueue.findIndex(q => q.region === region);
+    if (idx >= 0) { this._focusAlert(idx); return; }
+    this.alertData   = null;
+    this.alertRegion = region;
+    this._renderAlertTitle(root);
+    if (this._map) { this.clearAlertGeometry(); this._fitRegionOrZoom(this._map, region); this._drawRegionOverlays(region); }
   },
 
   /* ---------- MagicMirror hooks ---------- */
-  notificationReceived(notification, payload, sender) {},
+  notificationReceived(notification, payload, sender) {
+    if (!notification.startsWith("RADAR_ALERT_") || !this._isForMe(payload)) return;
+    switch (notification) {
+      case "RADAR_ALERT_SHOW":       this.showNow(payload); break;
+      case "RADAR_ALERT_DISMISS":    this.dismissAlert("notification"); break;
+      case "RADAR_ALERT_SNOOZE":     this.snooze(payload); break;
+      case "RADAR_ALERT_TEST":       this.triggerTestAlert(payload); break;
+      case "RADAR_ALERT_SET_REGION": this.setRegion(payload); break;
+    }
+  },
 
   getDom() {
     const root = document.createElement("div");
-    root.className = "radar-alert";
+    root.className = this.simulation ? "radar-alert is-simulation" : "radar-alert";
     root.id = `${this.identifier}-radar-root`;
     root.style.display = "none";
 
@@ -615,12 +2475,7 @@ Module.register("MMM-RadarAlert", {
 
     if (this.config.tapToDismiss) {
       content.style.cursor = "pointer";
-      content.addEventListener("click", () => {
-        this.alertActive = false;
-        if (this.repeatTimer) { clearInterval(this.repeatTimer); this.repeatTimer = null; }
-        this.hideRadar(true);
-        this.sendNotification("RADAR_ALERT_USER_DISMISS", {});
-      });
+      content.addEventListener("click", () => this.dismissAlert("tap"));
     }
 
     root.appendChild(content);
@@ -633,21 +2488,56 @@ Module.register("MMM-RadarAlert", {
     root.addEventListener("animationend", (e) => {
       if (e.animationName === "slide-in" && this._map) {
         this._map.invalidateSize();
-        this._fitRegionOrZoom(this._map, this.alertRegion);
+        this._fitAlertOrRegion(this._map);
       }
     });
 
     this._root = root;
-    return root;
+
+    // Config problems and the status view stay visible while the panel itself is hidden
+    const problems = this._renderConfigProblems();
+    const status = this._statusCfg().enabled ? this._buildStatusDom() : null;
+    const history = (this._historyCfg().enabled && this._historyCfg().show) ? this._buildHistoryDom() : null;
+    if (!problems && !status && !history) return root;
+    const wrapper = document.createElement("div");
+    if (problems) wrapper.appendChild(problems);
+    wrapper.appendChild(root);
+    if (status) wrapper.appendChild(status); // after root so CSS can hide it while the panel is up
+    if (history) wrapper.appendChild(history);
+    return wrapper;
+  },
+
+  _buildHistoryDom() {
+    const el = document.createElement("div");
+    el.className = "radar-history";
+    this._historyEl = el;
+    setTimeout(() => this._renderHistory(), 0);
+    return el;
+  },
+
+  _buildStatusDom() {
+    const el = document.createElement("div");
+    el.className = "radar-status";
+    el.innerHTML = "<img class=\"radar-status-thumb\" style=\"display:none\"/><div class=\"radar-status-text\"></div>";
+    el.addEventListener("click", () => this.showNow({})); // tap to open the full radar
+    this._statusEl = el;
+    this._thumbUrl = null;
+    setTimeout(() => this._renderStatus(), 0);
+    return el;
   },
 
+  // Polling carries on in node_helper while we're suspended; just stop showing
   suspend() {
-    if (this.alertCheckTimer) { clearInterval(this.alertCheckTimer); this.alertCheckTimer = null; }
-    if (this.repeatTimer)     { clearInterval(this.repeatTimer);     this.repeatTimer     = null; }
+    if (this.repeatTimer) { clearInterval(this.repeatTimer); this.repeatTimer = null; }
+    this._stopLightning();
+    if (this.statusTimer) { clearInterval(this.statusTimer); this.statusTimer = null; }
     this.hideRadar(true);
   },
 
+  // Re-register to get the current state pushed straight back
   resume() {
-    this.scheduleAlertChecks();
+    this._registerWithHelper();
+    this._startLightning();
+    this._startStatusTimer();
   }
 });
@@ -1,71 +1,1477 @@
 // node_helper.js
 const NodeHelper = require("node_helper");
+const express = require("express");
 const fetch = require("node-fetch");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
 
 module.exports = NodeHelper.create({
   start: function () {
-    this.cache = {}; // simple in-memory cache { key: { ts, ttl, body, headers, ok, status } }
+    this.cache = new Map(); // url → { ts, ttl, body, headers, ok, status, etag, lastModified }; LRU order
+    this.cacheMaxEntries = 500;
+    this.inflight = {}; // url → pending fetch promise
+    this.hostCooldown = {}; // host → ms timestamp we may call it again
+    this.fetchRetries = 3;
+    this.fetchMaxDelay = 60 * 1000;
+    this.userAgent = "MMM-RadarAlert (https://github.com/Agaperu/MMM-RadarAlert)";
+    this.pollers = {}; // poller key → { key, config, knownAlerts, queue, timer, expiryTimer, lastPoll, lastError }
+    this.injectedAlerts = {}; // webhook alerts by id → { alert, region, receivedAt }
+    this.apiKeys = this._configuredApiKeys(); // accepted HTTP API keys, from the server side only
+    this.apiKeyRequired = this.apiKeys.size > 0; // also set when a browser says its instance has a key
+    this.simulation = null; // running replay (see startSimulation)
+    this._simConfigStarted = new Set(); // config timelines start once per helper run
     this.name = "MMM-RadarAlert Helper";
+    this._registerDefaultAlertProviders();
+    this._initTileCache();
+    this._initHistory();
+    this._setupRoutes();
     console.log(`${this.name} started`);
   },
 
-  // caching helper
+  // MagicMirror shutdown: write out the history changes still waiting for the save timer
+  stop: function () {
+    if (this.historySaveTimer) {
+      clearTimeout(this.historySaveTimer);
+      this.historySaveTimer = null;
+      this._writeHistory();
+    }
+  },
+
+  /* ---------- hardened fetch ----------
+     - fresh entries (< ttl) come from a bounded LRU cache
+     - concurrent callers for one URL share a single upstream request
+     - stale entries revalidate with If-None-Match / If-Modified-Since; 304 reuses the body
+     - network errors, 429 and 5xx retry with exponential backoff, honoring Retry-After
+     - a Retry-After longer than we're willing to wait puts the host on cooldown
+     - when it all fails, the last good response is returned with stale: true */
+  configureFetch(opts) {
+    const ua = (typeof opts.userAgent === "string" && opts.userAgent.trim()) ? opts.userAgent.trim() : null;
+    const contact = (typeof opts.contact === "string" && opts.contact.trim()) ? opts.contact.trim() : null;
+    // api.weather.gov wants something identifying the app and a way to reach its operator;
+    // once some instance supplied a contact, keep that one
+    if (ua && (contact || !this._uaHasContact)) {
+      this.userAgent = contact ? `${ua} (${contact})` : ua;
+      this._uaHasContact = !!contact;
+    }
+    if (Number.isInteger(opts.retries) && opts.retries >= 0) this.fetchRetries = opts.retries;
+  },
+
+  _fetchHeaders() {
+    return { "User-Agent": this.userAgent };
+  },
+
+  _touchCache(url, entry) {
+    this.cache.delete(url);
+    this.cache.set(url, entry);
+    while (this.cache.size > this.cacheMaxEntries) this.cache.delete(this.cache.keys().next().value);
+  },
+
+  // Retry-After: delta-seconds or an HTTP date → ms (null if absent/unparseable)
+  _retryAfterMs(res) {
+    const v = res.headers.get("retry-after");
+    if (!v) return null;
+    if (/^\d+$/.test(v.trim())) return Number(v) * 1000;
+    const t = Date.parse(v);
+    return Number.isFinite(t) ? Math.max(0, t - Date.now()) : null;
+  },
+
   async cachedFetch(url, ttl = 60 * 1000) {
-    const now = Date.now();
-    const key = url;
-    const entry = this.cache[key];
-    if (entry && (now - entry.ts) < ttl) {
+    const simulated = this._simResponse(url);
+    if (simulated) return simulated;
+    const entry = this.cache.get(url);
+    if (entry && (Date.now() - entry.ts) < ttl) {
+      this._touchCache(url, entry);
       return entry;
     }
+    if (!this.inflight[url]) {
+      this.inflight[url] = this._fetchWithRetry(url, ttl, entry).finally(() => { delete this.inflight[url]; });
+    }
+    return this.inflight[url];
+  },
+
+  async _fetchWithRetry(url, ttl, prev) {
+    let host = "";
+    try { host = new URL(url).host; } catch (e) { /* relative/invalid: let fetch fail below */ }
+    const fallback = (status, error) => (prev && prev.ok)
+      ? Object.assign({}, prev, { stale: true, error })
+      : { ts: Date.now(), ttl, ok: false, status, error, body: null, url };
+
+    if (this.hostCooldown[host] > Date.now()) return fallback(429, `${host} cooling down after rate limit`);
+
+    const headers = this._fetchHeaders();
+    if (prev && prev.ok && prev.body !== null) {
+      if (prev.etag) headers["If-None-Match"] = prev.etag;
+      if (prev.lastModified) headers["If-Modified-Since"] = prev.lastModified;
+    }
+
+    let res = null, error = null;
+    for (let attempt = 0; ; attempt++) {
+      let wait = Math.min(this.fetchMaxDelay, 1000 * 2 ** attempt) + Math.floor(Math.random() * 250);
+      try {
+        res = await fetch(url, { timeout: 20000, headers });
+        if (res.status !== 429 && res.status < 500) break;
+        error = `HTTP ${res.status}`;
+        const after = this._retryAfterMs(res);
+        if (after !== null) {
+          if (after > this.fetchMaxDelay) {
+            this.hostCooldown[host] = Date.now() + after;
+            console.warn(`${this.name} ${host} asked us to back off for ${Math.round(after / 1000)}s`);
+            break;
+          }
+          wait = after;
+        }
+      } catch (e) {
+        res = null;
+        error = e.message;
+      }
+      if (attempt >= this.fetchRetries) break;
+      await new Promise(r => setTimeout(r, wait));
+    }
+
+    if (!res || res.status === 429 || res.status >= 500) return fallback(res ? res.status : 0, error);
+
+    if (res.status === 304 && prev) {
+      const refreshed = Object.assign(prev, { ts: Date.now(), ttl, stale: false, error: undefined });
+      this._touchCache(url, refreshed);
+      return refreshed;
+    }
 
     try {
-      const res = await fetch(url, { timeout: 20000 });
       const contentType = res.headers.get("content-type") || "";
-      let body;
-      if (contentType.includes("application/json") || contentType.includes("text/")) {
-        body = await res.text();
-      } else {
-        // for images / binary, return url as-is (frontend will load it)
-        // but still capture status/headers
-        body = null;
-      }
+      // Binary (images) isn't proxied here — see the tile cache — but status is still useful
+      const body = (contentType.includes("json") || contentType.includes("xml") || contentType.includes("text/"))
+        ? await res.text() : null;
       const cached = {
-        ts: now,
+        ts: Date.now(),
         ttl,
         ok: res.ok,
         status: res.status,
-        headers: {}, // optional: map headers if needed
+        headers: {},
         body,
-        url // keep original
+        url,
+        etag: res.headers.get("etag") || null,
+        lastModified: res.headers.get("last-modified") || null
       };
-      this.cache[key] = cached;
+      this._touchCache(url, cached);
       return cached;
     } catch (e) {
-      return { ts: now, ttl, ok: false, status: 0, error: e.message, body: null, url };
+      return fallback(res.status, e.message);
+    }
+  },
+
+  /* ---------- pollers: one per distinct alert config, shared by every connected browser ---------- */
+  _pollerConfigKeys: [
+    "regions", "alertProviders", "alertTypes", "alertTypeMatch", "requireGeometryMatch",
+    "alertApiTemplateNWS", "alertApiTemplateNWSPoint", "updateInterval", "proxyTTL"
+  ],
+
+  _pollerKey(config) {
+    const json = JSON.stringify(this._pollerConfigKeys.map(k => config[k]));
+    let h = 5381;
+    for (let i = 0; i < json.length; i++) h = ((h << 5) + h + json.charCodeAt(i)) | 0;
+    return `p${(h >>> 0).toString(36)}`;
+  },
+
+  // Start polling for this config (once), answer the client with its poller key and, if we
+  // already know it, the current alert state so a mirror that connects mid-alert shows it straight away
+  registerClient(identifier, config) {
+    const key = this._pollerKey(config);
+    let poller = this.pollers[key];
+    if (!poller) {
+      poller = this.pollers[key] = {
+        key, config, knownAlerts: {}, queue: [],
+        timer: null, expiryTimer: null, lastPoll: null, lastError: null, polled: false
+      };
+      this.checkAlerts(poller);
+      poller.timer = setInterval(() => this.checkAlerts(poller), Math.max(Number(config.updateInterval) || 60 * 1000, 15 * 1000));
+    }
+    this.sendSocketNotification("RADAR_ALERT_REGISTERED", { identifier, poller: key });
+    if (this.simulation) this._simBroadcast();
+    if (poller.polled) this._pushState(poller, { attention: false, events: [] });
+  },
+
+  async checkAlerts(poller) {
+    // Webhooks can ask for a check mid-poll; run once more afterwards instead of overlapping
+    if (poller.checking) { poller.recheck = true; return; }
+    poller.checking = true;
+    try { await this._checkAlerts(poller); }
+    finally { poller.checking = false; }
+    if (poller.recheck) { poller.recheck = false; this.checkAlerts(poller); }
+  },
+
+  async _checkAlerts(poller) {
+    const config = poller.config;
+    const found = [];
+    const seen = {};
+    const errors = [];
+    const lowTier = []; // in the region but not in alertTypes: advisories, statements… (for the status view)
+
+    for (const [regionIndex, region] of (config.regions || []).entries()) {
+      for (const name of config.alertProviders || []) {
+        const provider = this.alertProviderRegistry[name];
+        if (!provider) {
+          if (!this._warnedProviders) this._warnedProviders = {};
+          if (!this._warnedProviders[name]) console.warn(`${this.name} unknown alert provider "${name}"`);
+          this._warnedProviders[name] = true;
+          continue;
+        }
+        let alerts = [];
+        try { alerts = await provider(region, config); }
+        catch (e) { errors.push(`${name}: ${e.message}`); console.error(`${this.name} ${name} check error:`, e); }
+        for (const alert of alerts || []) {
+          if (!this._matchesAlertTypes(alert?.properties?.event || "", config)) {
+            if (this._alertAffectsRegion(alert, region, config) && !this._isAlertOver(alert)) lowTier.push({ alert, regionIndex });
+            continue;
+          }
+          if (!this._alertAffectsRegion(alert, region, config)) continue;
+          // same alert can reach us twice for one region (e.g. nws + custom GeoJSON)
+          const key = this._alertKey(alert, region);
+          if (seen[key]) continue;
+          seen[key] = true;
+          found.push({ alert, region, regionIndex });
+        }
+      }
+    }
+
+    // Webhook alerts bypass alertTypes/geometry filtering: whoever posted them wants them shown
+    for (const [id, inj] of Object.entries(this.injectedAlerts)) {
+      if (this._isAlertOver(inj.alert)) { delete this.injectedAlerts[id]; continue; }
+      const regionIndex = this._findRegionIndex(config, inj.region);
+      if (regionIndex < 0) continue; // meant for another instance's region
+      const region = (config.regions || [])[regionIndex] || { name: "Webhook" };
+      const key = this._alertKey(inj.alert, region);
+      if (seen[key]) continue;
+      seen[key] = true;
+      found.push({ alert: inj.alert, region, regionIndex });
+    }
+
+    const { attention, events } = this._trackAlerts(poller, found);
+    poller.queue = found
+      .filter(q => poller.knownAlerts[this._alertKey(q.alert, q.region)])
+      .sort((a, b) => this._compareAlerts(a, b, config));
+    poller.lowTier   = this._summarizeLowTier(lowTier, config);
+    poller.lastPoll  = Date.now();
+    poller.lastError = errors.length ? errors.join("; ") : null;
+    poller.polled    = true;
+
+    this._recordHistory(poller);
+    this._scheduleExpiryCheck(poller);
+    this._pushState(poller, { attention, events });
+  },
+
+  // Lower-tier alerts travel without geometry or description: the status view only lists them.
+  // Superseded/cancelled messages are dropped the same way _trackAlerts drops them.
+  _summarizeLowTier(list, config) {
+    const replaced = new Set();
+    for (const { alert } of list) for (const ref of this._alertReferences(alert)) replaced.add(ref);
+    const seen = new Set();
+    return list
+      .filter(({ alert }) => !replaced.has(this._alertId(alert)) && alert.properties?.messageType !== "Cancel")
+      .filter(({ alert, regionIndex }) => {
+        const k = `${regionIndex}|${this._alertId(alert)}`;
+        if (seen.has(k)) return false;
+        seen.add(k);
+        return true;
+      })
+      .sort((a, b) => this._compareAlerts(a, b, config))
+      .map(({ alert, regionIndex }) => {
+        const p = alert.properties || {};
+        return {
+          regionIndex,
+          alert: {
+            id: this._alertId(alert),
+            provider: alert.provider || null,
+            properties: { event: p.event, headline: p.headline, severity: p.severity, onset: p.onset, expires: p.expires, ends: p.ends }
+          }
+        };
+      });
+  },
+
+  _queueItem(key, entry) {
+    return {
+      key,
+      regionIndex: entry.regionIndex,
+      alert: entry.alert,
+      firstSeen: entry.firstSeen,
+      acknowledged: !!entry.acknowledged
+    };
+  },
+
+  // Every browser gets every poller's state; each client keeps only its own poller key
+  _pushState(poller, { attention, events }) {
+    const queue = poller.queue.map(q => {
+      const key = this._alertKey(q.alert, q.region);
+      return this._queueItem(key, poller.knownAlerts[key] || q);
+    });
+    this.sendSocketNotification("RADAR_ALERT_STATE", {
+      poller: poller.key,
+      attention: !!attention,
+      queue,
+      events: events.map(e => ({ notification: e.notification, item: this._queueItem(e.key, e.entry), previous: e.previous || null })),
+      lowTier: poller.lowTier || [],
+      history: this.historyEnabled ? this.historyList({ poller: poller.key, limit: 50 }) : [],
+      lastPoll: poller.lastPoll,
+      lastError: poller.lastError
+    });
+  },
+
+  /* ---------- HTTP API: /MMM-RadarAlert/{status,test,dismiss,webhook,history,simulate} ---------- */
+  _setupRoutes() {
+    if (!this.expressApp) return;
+    const base = "/MMM-RadarAlert";
+    const json = express.json({ limit: "1mb" });
+    const guard = (handler) => (req, res) => {
+      if (!this._apiAuthorized(req)) { res.status(401).json({ ok: false, error: "invalid api key" }); return; }
+      try { handler(req, res); }
+      catch (e) { res.status(400).json({ ok: false, error: e.message }); }
+    };
+
+    // Read-only routes take GET; anything that changes the mirror is POST, so a link or <img> can't fire it
+    this.expressApp.get(`${base}/status`, guard((req, res) => res.json(this.status())));
+    this.expressApp.post(`${base}/test`, json, guard((req, res) => {
+      const opts = Object.assign({}, req.query, req.body);
+      delete opts.key;
+      this.sendSocketNotification("RADAR_ALERT_TEST", opts);
+      res.json({ ok: true });
+    }));
+    this.expressApp.post(`${base}/dismiss`, json, guard((req, res) => {
+      this.dismissAll((req.body && req.body.instance) || req.query.instance);
+      res.json({ ok: true });
+    }));
+    this.expressApp.post(`${base}/webhook`, json, guard((req, res) => {
+      res.json(Object.assign({ ok: true }, this.injectAlert(req.body)));
+    }));
+    this.expressApp.post(`${base}/simulate`, json, guard((req, res) => {
+      const opts = Object.assign({}, req.query, req.body);
+      if (opts.stop !== undefined && opts.stop !== "false") { this.stopSimulation("stopped"); res.json({ ok: true }); return; }
+      res.json(Object.assign({ ok: true }, this.startSimulation(opts)));
+    }));
+    this.expressApp.get(`${base}/history`, guard((req, res) => res.json({ ok: true, history: this.historyList(req.query) })));
+    this.expressApp.get(`${base}/history.csv`, guard((req, res) => {
+      res.type("text/csv").set("Content-Disposition", "attachment; filename=\"radar-alert-history.csv\"");
+      res.send(this.historyCsv(this.historyList(req.query)));
+    }));
+
+    // Tile/image proxy: /tile/https/host/path → https://host/path (no API key; the browser loads these)
+    this.expressApp.use(`${base}/tile`, (req, res, next) => (req.method === "GET" ? this.serveTile(req, res) : next()));
+  },
+
+  // MMM_RADARALERT_API_KEY and every instance's httpApiKey in config.js; a browser never picks the key
+  _configuredApiKeys() {
+    const keys = new Set();
+    if (process.env.MMM_RADARALERT_API_KEY) keys.add(process.env.MMM_RADARALERT_API_KEY);
+    const modules = (global.config && Array.isArray(global.config.modules)) ? global.config.modules : [];
+    for (const m of modules) {
+      if (m && m.module === "MMM-RadarAlert" && m.config && m.config.httpApiKey) keys.add(String(m.config.httpApiKey));
+    }
+    return keys;
+  },
+
+  // No key configured anywhere → open (MagicMirror's ipWhitelist still applies).
+  // A key configured but not readable here → closed until the helper knows it.
+  _apiAuthorized(req) {
+    if (!this.apiKeyRequired) return true;
+    const given = req.get("x-api-key") || (req.query && req.query.key);
+    return !!given && this.apiKeys.has(String(given));
+  },
+
+  status() {
+    return {
+      ok: true,
+      now: new Date().toISOString(),
+      pollers: Object.values(this.pollers).map(p => ({
+        key: p.key,
+        regions: (p.config.regions || []).map(r => (typeof r === "object" ? (r.name || r.zone || `${r.lat},${r.lon}`) : r)),
+        lastPoll: p.lastPoll ? new Date(p.lastPoll).toISOString() : null,
+        lastError: p.lastError,
+        alerts: p.queue.map(q => {
+          const key = this._alertKey(q.alert, q.region);
+          const entry = p.knownAlerts[key] || {};
+          const pr = q.alert.properties || {};
+          return {
+            key,
+            region: (q.region && q.region.name) || null,
+            event: pr.event,
+            headline: pr.headline,
+            severity: pr.severity,
+            expires: pr.ends || pr.expires || null,
+            provider: q.alert.provider || null,
+            firstSeen: entry.firstSeen ? new Date(entry.firstSeen).toISOString() : null,
+            acknowledged: !!entry.acknowledged
+          };
+        })
+      })),
+      injected: Object.keys(this.injectedAlerts),
+      simulation: this.simulationStatus()
+    };
+  },
+
+  // instance (optional): only that module instance dismisses (and acknowledges via its own poller)
+  dismissAll(instance) {
+    if (!instance) {
+      for (const poller of Object.values(this.pollers)) {
+        Object.values(poller.knownAlerts).forEach(e => { e.acknowledged = true; });
+      }
+    }
+    this.sendSocketNotification("RADAR_ALERT_DISMISS", instance ? { instance } : {});
+  },
+
+  // region ref: name, zone or index; no ref → 0, a ref this config doesn't have → -1
+  _findRegionIndex(config, ref) {
+    const regions = config.regions || [];
+    if (ref === undefined || ref === null || ref === "") return 0;
+    if (/^\d+$/.test(String(ref))) return Number(ref) < regions.length ? Number(ref) : -1;
+    const want = String(ref).toLowerCase();
+    const i = regions.findIndex(r => (typeof r === "object")
+      ? [r.name, r.zone].some(v => v && String(v).toLowerCase() === want)
+      : String(r).toLowerCase() === want);
+    return i;
+  },
+
+  /* POST body: a normalized alert ({ id, geometry, properties: { event, headline, description,
+     severity, expires, ... } }) plus optional region (name/zone/index) and ttl (minutes, default 60).
+     A Cancel (properties.messageType "Cancel" + references) withdraws earlier webhook alerts. */
+  injectAlert(body) {
+    if (!body || typeof body !== "object") throw new Error("expected a JSON alert");
+    const props = Object.assign({}, body.properties || {});
+    if (!props.event && body.event) Object.assign(props, { event: body.event, headline: body.headline, description: body.description, severity: body.severity });
+
+    if (props.messageType === "Cancel") {
+      const refs = this._alertReferences({ properties: props }).concat(body.id ? [String(body.id)] : []);
+      refs.forEach(id => { delete this.injectedAlerts[id]; });
+      this._recheckAll();
+      return { cancelled: refs };
+    }
+    if (!props.event) throw new Error("properties.event is required");
+
+    const id = String(body.id || props.id || `webhook-${Date.now()}`);
+    if (!props.ends && !props.expires) {
+      const ttl = Number(body.ttl) > 0 ? Number(body.ttl) : 60;
+      props.expires = new Date(Date.now() + ttl * 60 * 1000).toISOString();
+    }
+    props.id = id;
+    props.headline = props.headline || props.event;
+    props.messageType = props.messageType || "Alert";
+    const alert = { id, provider: "webhook", geometry: body.geometry || null, properties: props };
+
+    this.injectedAlerts[id] = { alert, region: body.region, receivedAt: Date.now() };
+    this._recheckAll();
+    return { id, expires: props.ends || props.expires };
+  },
+
+  _recheckAll() {
+    Object.values(this.pollers).forEach(p => this.checkAlerts(p));
+  },
+
+  /* ---------- disk tile cache (LRU, size-capped) ---------- */
+  _tileTypes: { "image/png": "png", "image/gif": "gif", "image/jpeg": "jpg", "image/webp": "webp" },
+
+  _initTileCache() {
+    this.tileDir = path.join(__dirname, "cache", "tiles");
+    this.tileIndex = new Map(); // hash → { file, size, mtime, type }; Map order = least recently used first
+    this.tileBytes = 0;
+    this.tileMaxBytes = null; // largest client maxMB; _tileCap() falls back to 200 MB
+    this.tileMaxAge = 30 * 24 * 60 * 60 * 1000;
+    this.tileHosts = new Set();
+    this.tileInflight = {};
+    this._prewarmed = {};
+
+    try {
+      fs.mkdirSync(this.tileDir, { recursive: true });
+      const types = Object.entries(this._tileTypes).reduce((o, [t, ext]) => Object.assign(o, { [ext]: t }), {});
+      const files = fs.readdirSync(this.tileDir);
+      // Half-written tiles from a crash or restart mid-download
+      for (const file of files.filter(f => f.endsWith(".tmp"))) {
+        try { fs.unlinkSync(path.join(this.tileDir, file)); } catch (e) { /* gone already */ }
+      }
+      // Only our own <sha1>.<ext> names; anything else in the directory isn't indexed, served or evicted
+      files.filter(file => /^[0-9a-f]{40}\.(png|gif|jpg|webp)$/.test(file))
+        .map(file => {
+          const st = fs.statSync(path.join(this.tileDir, file));
+          const [hash, ext] = file.split(".");
+          return { hash, file, size: st.size, mtime: st.mtimeMs, atime: st.atimeMs, type: types[ext] };
+        })
+        .filter(e => e.type)
+        .sort((a, b) => a.atime - b.atime)
+        .forEach(e => { this.tileIndex.set(e.hash, e); this.tileBytes += e.size; });
+    } catch (e) {
+      console.warn(`${this.name} tile cache disabled:`, e.message);
+      this.tileDir = null;
+    }
+  },
+
+  // Client settings: limits are global (largest wins), hosts accumulate, pre-warm once a day per setup
+  configureTileCache(opts) {
+    if (Number(opts.maxMB) > 0) {
+      this.tileMaxBytes = Math.max(this.tileMaxBytes || 0, opts.maxMB * 1024 * 1024);
+      this._evictTiles();
+    }
+    if (Number(opts.maxAgeDays) > 0) this.tileMaxAge = opts.maxAgeDays * 24 * 60 * 60 * 1000;
+    for (const u of opts.allowHosts || []) {
+      const m = String(u).match(/^(?:https?:\/\/)?([^/?#]+)/);
+      if (m) this.tileHosts.add(m[1].replace(/^\{s\}\./, "").replace(/:\d+$/, "").toLowerCase());
+    }
+    if (opts.prewarm) {
+      const key = JSON.stringify(opts.prewarm);
+      if (!this._prewarmed[key] || Date.now() - this._prewarmed[key] > 24 * 60 * 60 * 1000) {
+        this._prewarmed[key] = Date.now();
+        this.prewarmTiles(opts.prewarm);
+      }
+    }
+  },
+
+  _tileAllowed(url) {
+    let host;
+    try { host = new URL(url).hostname.toLowerCase(); } catch (e) { return false; }
+    for (const h of this.tileHosts) {
+      if (host === h || host.endsWith(`.${h}`)) return true;
+    }
+    return false;
+  },
+
+  // Radar frames are immutable per timestamp; the NWS loop GIF and untimed WMS are rebuilt every few minutes
+  _tileMaxAgeFor(url) {
+    if (/_loop\.gif/i.test(url)) return 2 * 60 * 1000;
+    if (/rainviewer/i.test(url) || /[?&]time=/i.test(url)) return 7 * 24 * 60 * 60 * 1000; // RainViewer, WMS-T
+    if (/[?&]request=getmap/i.test(url)) return 2 * 60 * 1000; // untimed WMS is "latest"
+    return this.tileMaxAge;
+  },
+
+  // → { file, type, stale } or null. Fresh hit → disk; miss/expired → upstream; upstream down → stale copy
+  async getTile(url) {
+    if (!this.tileDir) return null;
+    const hash = crypto.createHash("sha1").update(url).digest("hex");
+    const entry = this.tileIndex.get(hash);
+    const touch = (e) => { this.tileIndex.delete(hash); this.tileIndex.set(hash, e); };
+
+    if (entry && Date.now() - entry.mtime < this._tileMaxAgeFor(url)) {
+      touch(entry);
+      return { file: path.join(this.tileDir, entry.file), type: entry.type, stale: false };
+    }
+
+    if (!this.tileInflight[hash]) {
+      this.tileInflight[hash] = this._fetchTile(url, hash).finally(() => { delete this.tileInflight[hash]; });
+    }
+    const fresh = await this.tileInflight[hash];
+    if (fresh) return fresh;
+    if (entry) {
+      touch(entry);
+      return { file: path.join(this.tileDir, entry.file), type: entry.type, stale: true };
+    }
+    return null;
+  },
+
+  async _fetchTile(url, hash) {
+    try {
+      const res = await fetch(url, { timeout: 20000, headers: this._fetchHeaders() });
+      const type = (res.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+      const ext = this._tileTypes[type];
+      if (!res.ok || !ext) return null;
+      const buf = Buffer.from(await res.arrayBuffer());
+
+      const file = `${hash}.${ext}`;
+      const tmp = path.join(this.tileDir, `${file}.tmp`);
+      await fs.promises.writeFile(tmp, buf);
+      await fs.promises.rename(tmp, path.join(this.tileDir, file));
+
+      const old = this.tileIndex.get(hash);
+      if (old) {
+        this.tileBytes -= old.size;
+        this.tileIndex.delete(hash);
+        if (old.file !== file) fs.promises.unlink(path.join(this.tileDir, old.file)).catch(() => {});
+      }
+      this.tileIndex.set(hash, { hash, file, size: buf.length, mtime: Date.now(), type });
+      this.tileBytes += buf.length;
+      this._evictTiles();
+      return { file: path.join(this.tileDir, file), type, stale: false };
+    } catch (e) {
+      return null;
+    }
+  },
+
+  _tileCap() {
+    return this.tileMaxBytes || 200 * 1024 * 1024;
+  },
+
+  _evictTiles() {
+    for (const [hash, e] of this.tileIndex) {
+      if (this.tileBytes <= this._tileCap()) break;
+      this.tileIndex.delete(hash);
+      this.tileBytes -= e.size;
+      fs.promises.unlink(path.join(this.tileDir, e.file)).catch(() => {});
+    }
+  },
+
+  async serveTile(req, res) {
+    const m = req.url.match(/^\/(https?)\/(.+)$/); // req.url is relative to the mount point, query included
+    const url = m ? `${m[1]}://${m[2]}` : null;
+    if (!url || !this._tileAllowed(url)) { res.status(403).end(); return; }
+    const tile = await this.getTile(url);
+    if (!tile) { res.status(502).end(); return; }
+    res.set("Content-Type", tile.type);
+    res.set("Cache-Control", tile.stale ? "no-cache" : "public, max-age=120");
+    res.sendFile(tile.file, (err) => { if (err && !res.headersSent) res.status(500).end(); });
+  },
+
+  // Slippy-map tiles around each point at zoom-1..zoom+1; fetched a few at a time to stay polite
+  async prewarmTiles({ baseUrl, subdomains = "abc", maxZoom = 18, radius = 2, points = [] }) {
+    if (!this.tileDir || !baseUrl) return;
+    const urls = new Set();
+    for (const p of points) {
+      for (let z = Math.max(0, p.zoom - 1); z <= Math.min(maxZoom, p.zoom + 1); z++) {
+        const n = 2 ** z;
+        const cx = Math.floor((p.lon + 180) / 360 * n);
+        const latRad = p.lat * Math.PI / 180;
+        const cy = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
+        for (let dx = -radius; dx <= radius; dx++) {
+          for (let dy = -radius; dy <= radius; dy++) {
+            const x = ((cx + dx) % n + n) % n, y = cy + dy;
+            if (y < 0 || y >= n) continue;
+            urls.add(baseUrl
+              .replace("{s}", subdomains[(x + y) % subdomains.length] || "")
+              .replace("{z}", z).replace("{x}", x).replace("{y}", y).replace("{r}", ""));
+          }
+        }
+      }
+    }
+
+    const queue = [...urls].filter(u => this._tileAllowed(u));
+    const worker = async () => {
+      while (queue.length) await this.getTile(queue.shift());
+    };
+    await Promise.all([worker(), worker(), worker(), worker()]);
+    console.log(`${this.name} pre-warmed ${urls.size} basemap tiles`);
+  },
+
+  /* ---------- alert history (cache/history.json) ----------
+     One record per alert and region: updates of an alert extend its record, lower-tier products
+     (not in alertTypes) get records too so alertTypes can be tuned against what actually came in. */
+  _historyColumns: ["firstSeen", "lastSeen", "ended", "region", "event", "severity", "headline", "tier", "provider",
+                    "updates", "shown", "acknowledged", "snoozed", "expires", "id"],
+
+  _initHistory() {
+    this.historyFile = path.join(__dirname, "cache", "history.json");
+    this.history = new Map(); // record id → record; Map order = first seen
+    this.historyEnabled = false; // until a client registers with history on
+    this.historyMaxDays = null; // from client config (largest wins); 30 days otherwise
+    this.historyMaxEntries = null;
+    this.historySaveTimer = null;
+    try {
+      const list = JSON.parse(fs.readFileSync(this.historyFile, "utf8"));
+      for (const r of Array.isArray(list) ? list : []) if (r && r.id) this.history.set(r.id, r);
+    } catch (e) {
+      if (e.code !== "ENOENT") console.warn(`${this.name} alert history not loaded:`, e.message);
+    }
+  },
+
+  configureHistory(opts) {
+    this.historyEnabled = true;
+    if (Number(opts.maxDays) > 0) this.historyMaxDays = Math.max(this.historyMaxDays || 0, Number(opts.maxDays));
+    if (Number(opts.maxEntries) > 0) this.historyMaxEntries = Math.max(this.historyMaxEntries || 0, Number(opts.maxEntries));
+  },
+
+  // After every poll (and expiry): refresh the records of what's active, close the ones that went away
+  _recordHistory(poller) {
+    if (!this.historyEnabled || this.simulation) return; // replayed alerts aren't history
+    const now = Date.now();
+    const active = new Set();
+    const touch = (id, tier, alert, region, firstSeen) => {
+      const p = alert.properties || {};
+      let r = this.history.get(id);
+      if (!r) {
+        r = { id, poller: poller.key, tier, alertId: this._alertId(alert), firstSeen, updates: 0, shown: null, acknowledged: null, snoozed: null };
+        this.history.set(id, r);
+      } else if (r.alertId !== this._alertId(alert)) {
+        r.alertId = this._alertId(alert);
+        r.updates += 1;
+      }
+      Object.assign(r, {
+        region: this._regionName(region) || null,
+        event: p.event || null,
+        headline: p.headline || null,
+        severity: p.severity || null,
+        provider: alert.provider || null,
+        expires: p.ends || p.expires || null,
+        lastSeen: now,
+        ended: null
+      });
+      active.add(id);
+    };
+
+    for (const entry of Object.values(poller.knownAlerts)) {
+      touch(entry.historyId, "alert", entry.alert, entry.region, entry.firstSeen);
+    }
+    for (const it of poller.lowTier || []) {
+      if (this._isAlertOver(it.alert)) continue;
+      touch(`${poller.key}|low|${it.regionIndex}|${it.alert.id}`, "low", it.alert, (poller.config.regions || [])[it.regionIndex], now);
+    }
+    for (const r of this.history.values()) {
+      if (r.poller === poller.key && !r.ended && !active.has(r.id)) r.ended = now;
+    }
+    this._saveHistory();
+  },
+
+  // mark: "shown" | "acknowledged" | "snoozed"; the first time counts
+  markHistory(pollerKey, keys, mark) {
+    const poller = this.pollers[pollerKey];
+    if (!poller || !this.historyEnabled || !["shown", "acknowledged", "snoozed"].includes(mark)) return;
+    let changed = false;
+    for (const k of keys || []) {
+      const entry = poller.knownAlerts[k];
+      const r = entry && this.history.get(entry.historyId);
+      if (r && !r[mark]) { r[mark] = Date.now(); changed = true; }
+    }
+    if (changed) this._saveHistory();
+  },
+
+  // Coalesce writes; polls touch every active record
+  _saveHistory() {
+    if (this.historySaveTimer) return;
+    this.historySaveTimer = setTimeout(() => {
+      this.historySaveTimer = null;
+      this._writeHistory();
+    }, 10 * 1000);
+  },
+
+  _writeHistory() {
+    this._pruneHistory();
+    const tmp = `${this.historyFile}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.historyFile), { recursive: true });
+      fs.writeFileSync(tmp, JSON.stringify(Array.from(this.history.values())));
+      fs.renameSync(tmp, this.historyFile);
+    } catch (e) { console.warn(`${this.name} alert history not saved:`, e.message); }
+  },
+
+  _pruneHistory() {
+    const cutoff = Date.now() - (this.historyMaxDays || 30) * 24 * 60 * 60 * 1000;
+    for (const [id, r] of this.history) if (r.ended && r.lastSeen < cutoff) this.history.delete(id);
+    const extra = this.history.size - (this.historyMaxEntries || 2000);
+    if (extra > 0) Array.from(this.history.keys()).slice(0, extra).forEach(id => this.history.delete(id));
+  },
+
+  // query: { poller, hours, limit, tier ("alert"|"low"), region } → newest first, times as ISO strings
+  historyList(query = {}) {
+    const iso = (t) => (t ? new Date(t).toISOString() : null);
+    const since = Number(query.hours) > 0 ? Date.now() - Number(query.hours) * 60 * 60 * 1000 : 0;
+    const region = query.region ? String(query.region).toLowerCase() : null;
+    const list = Array.from(this.history.values())
+      .filter(r => (!query.poller || r.poller === query.poller)
+        && (!query.tier || r.tier === query.tier)
+        && (!region || String(r.region || "").toLowerCase() === region)
+        && r.lastSeen >= since)
+      .sort((a, b) => b.firstSeen - a.firstSeen);
+    const limit = Number(query.limit) > 0 ? Number(query.limit) : list.length;
+    return list.slice(0, limit).map(r => Object.assign({}, r, {
+      firstSeen: iso(r.firstSeen), lastSeen: iso(r.lastSeen), ended: iso(r.ended),
+      shown: iso(r.shown), acknowledged: iso(r.acknowledged), snoozed: iso(r.snoozed)
+    }));
+  },
+
+  historyCsv(list) {
+    const cell = (v) => {
+      const s = v === null || v === undefined ? "" : String(v);
+      return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    return [this._historyColumns.join(",")]
+      .concat(list.map(r => this._historyColumns.map(c => cell(r[c])).join(",")))
+      .join("\r\n") + "\r\n";
+  },
+
+  /* ---------- simulation: replay recorded feeds on a scripted, accelerated timeline ----------
+     A timeline is a JSON file inside the module folder: { name, recordedAt, speed, end, loop, steps: [{ at,
+     label, nws, rainviewer, responses: { "<url part>": body } }] }. Bodies are file names (relative to the
+     timeline) or inline JSON; each step replaces the bodies it names. While it runs, cachedFetch answers
+     matching URLs (longest match wins) so alerts take the normal poll → state → display path.
+     Timestamps in the bodies are moved so recordedAt is "now" and the recording runs `speed` times faster.
+     One simulation per helper: it answers for every poller and instance, not just the one that started it. */
+  _simUrlParts: { nws: "api.weather.gov/alerts", rainviewer: "weather-maps.json" },
+  _isoPattern: /\b\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})/g,
+
+  // 90, "90s", "15m", "1.5h" → seconds
+  _simSeconds(v) {
+    if (Number.isFinite(v)) return v;
+    const m = String(v ?? "").trim().match(/^(\d+(?:\.\d+)?)\s*([smh]?)$/i);
+    return m ? Number(m[1]) * { "": 1, s: 1, m: 60, h: 3600 }[m[2].toLowerCase()] : null;
+  },
+
+  // Only files under the module folder
+  _simPath(file, from = __dirname) {
+    const full = path.resolve(from, String(file));
+    if (!full.startsWith(__dirname + path.sep)) throw new Error(`${file}: outside the module folder`);
+    return full;
+  },
+
+  // opts: { file, speed, loop } → { name, steps, speed }
+  startSimulation(opts = {}) {
+    if (!opts.file) throw new Error("file is required");
+    const file = this._simPath(opts.file);
+    const timeline = JSON.parse(fs.readFileSync(file, "utf8"));
+    const body = (v) => (v === null ? null
+      : typeof v === "string" ? fs.readFileSync(this._simPath(v, path.dirname(file)), "utf8")
+      : JSON.stringify(v));
+
+    const steps = (Array.isArray(timeline.steps) ? timeline.steps : []).map((step, i) => {
+      const at = this._simSeconds(step.at ?? 0);
+      if (at === null) throw new Error(`step ${i + 1}: bad "at" ${JSON.stringify(step.at)}`);
+      const responses = {};
+      for (const [k, part] of Object.entries(this._simUrlParts)) if (k in step) responses[part] = body(step[k]);
+      for (const [part, v] of Object.entries(step.responses || {})) responses[part] = body(v);
+      return { at, label: step.label || null, responses };
+    }).sort((a, b) => a.at - b.at);
+    if (!steps.length) throw new Error("timeline has no steps");
+
+    this.stopSimulation(null);
+    const speed = Number(opts.speed) > 0 ? Number(opts.speed) : (Number(timeline.speed) > 0 ? Number(timeline.speed) : 60);
+    const loop = opts.loop !== undefined ? (opts.loop === true || opts.loop === "true") : !!timeline.loop;
+    let end = timeline.end !== undefined ? this._simSeconds(timeline.end) : null;
+    if (end === null && loop) end = steps[steps.length - 1].at + 600;
+
+    const sim = this.simulation = {
+      name: timeline.name || path.basename(file), file: opts.file, speed, loop, end, steps,
+      index: -1, responses: {}, timers: [], startedAt: Date.now()
+    };
+    sim.recordedAt = Date.parse(timeline.recordedAt || "") || this._simEarliest(steps[0]) || sim.startedAt;
+    for (const step of steps) {
+      for (const part of Object.keys(step.responses)) {
+        if (step.responses[part] !== null) step.responses[part] = this._simShiftTimes(step.responses[part], sim);
+      }
+    }
+
+    steps.forEach((step, i) => {
+      if (step.at <= 0) this._simStep(i); // in place before anything polls
+      else sim.timers.push(setTimeout(() => this._simStep(i), step.at * 1000 / speed));
+    });
+    if (end !== null) {
+      sim.timers.push(setTimeout(() => {
+        if (!loop) return this.stopSimulation("finished");
+        try {
+          this.startSimulation({ file: opts.file, speed, loop });
+        } catch (e) { // timeline edited or removed since the last run
+          console.error(`${this.name} simulation:`, e.message);
+          this._simBroadcast(e.message);
+          this.stopSimulation("failed");
+        }
+      }, end * 1000 / speed));
+    }
+    console.log(`${this.name} simulation "${sim.name}": ${steps.length} steps at ${speed}x`);
+    return { name: sim.name, steps: steps.length, speed };
+  },
+
+  // reason null: replaced by another run, no broadcast
+  stopSimulation(reason) {
+    const sim = this.simulation;
+    if (!sim) return;
+    sim.timers.forEach(t => clearTimeout(t));
+    this.simulation = null;
+    if (reason === null) return;
+    console.log(`${this.name} simulation "${sim.name}" ${reason}`);
+    this._simBroadcast();
+    this._recheckAll(); // back to the live feeds
+  },
+
+  _simStep(i) {
+    const sim = this.simulation;
+    if (!sim) return;
+    sim.index = i;
+    for (const [part, v] of Object.entries(sim.steps[i].responses)) {
+      if (v === null) delete sim.responses[part];
+      else sim.responses[part] = v;
+    }
+    this._simBroadcast();
+    this._recheckAll();
+  },
+
+  _simResponse(url) {
+    const sim = this.simulation;
+    if (!sim) return null;
+    const part = Object.keys(sim.responses).filter(p => String(url).includes(p)).sort((a, b) => b.length - a.length)[0];
+    if (part === undefined) return null;
+    return { ts: Date.now(), ttl: 0, ok: true, status: 200, headers: {}, body: sim.responses[part], url, simulated: true };
+  },
+
+  // Recording start when the timeline doesn't say: earliest timestamp in the first step
+  _simEarliest(step) {
+    const times = Object.values(step.responses).filter(Boolean)
+      .flatMap(b => b.match(this._isoPattern) || []).map(Date.parse).filter(Number.isFinite);
+    return times.length ? Math.min(...times) : null;
+  },
+
+  // ISO timestamps anywhere; RainViewer's unix-second "generated", frame "time" and the
+  // timestamp in frame "path" (/v2/radar/<ts>) in JSON, so a frame's time and path agree
+  _simShiftTimes(text, sim) {
+    const shift = (t) => sim.startedAt + (t - sim.recordedAt) / sim.speed;
+    const unix = (s) => Math.round(shift(s * 1000) / 1000);
+    // Whole seconds: the NWS motion description is split on "." (…T22:48:00Z...storm...)
+    const iso = (t) => new Date(Math.round(shift(t) / 1000) * 1000).toISOString().replace(".000Z", "Z");
+    const out = text.replace(this._isoPattern, m => (Number.isFinite(Date.parse(m)) ? iso(Date.parse(m)) : m));
+    if (!/^\s*[[{]/.test(out)) return out;
+    try {
+      return JSON.stringify(JSON.parse(out), (k, v) => {
+        if ((k === "time" || k === "generated") && Number.isFinite(v) && v > 1e9) return unix(v);
+        if (k === "path" && typeof v === "string") {
+          return v.replace(/(\/v2\/radar\/(?:nowcast_)?)(\d{9,})/, (m, pre, ts) => pre + unix(Number(ts)));
+        }
+        return v;
+      });
+    } catch (e) { return out; }
+  },
+
+  simulationStatus() {
+    const sim = this.simulation;
+    if (!sim) return { active: false };
+    const step = sim.steps[sim.index];
+    return {
+      active: true,
+      name: sim.name,
+      step: sim.index + 1,
+      steps: sim.steps.length,
+      label: step ? step.label : null,
+      speed: sim.speed,
+      elapsed: Math.round((Date.now() - sim.startedAt) * sim.speed / 1000) // seconds of recording played
+    };
+  },
+
+  _simBroadcast(error) {
+    this.sendSocketNotification("RADAR_ALERT_SIMULATION", Object.assign(this.simulationStatus(), error ? { error } : {}));
+  },
+
+  acknowledge(pollerKey, keys) {
+    const poller = this.pollers[pollerKey];
+    if (!poller) return;
+    for (const k of keys || []) {
+      if (poller.knownAlerts[k]) poller.knownAlerts[k].acknowledged = true;
+    }
+    this.markHistory(pollerKey, keys, "acknowledged");
+    this._pushState(poller, { attention: false, events: [] });
+  },
+
+  /* ---------- alerts ---------- */
+  // Empty alertTypes = react to everything
+  _matchesAlertTypes(ev, config) {
+    const types = config.alertTypes;
+    if (Array.isArray(types) && types.length === 0) return true;
+    return this._alertTypeIndex(ev, config) >= 0;
+  },
+
+  // Position in alertTypes: whole event name, or first keyword it contains with alertTypeMatch "contains"
+  _alertTypeIndex(ev, config) {
+    const types = Array.isArray(config.alertTypes) ? config.alertTypes : [];
+    if (config.alertTypeMatch !== "contains") return types.indexOf(ev);
+    const e = String(ev || "").toLowerCase();
+    return types.findIndex(t => e.includes(String(t).toLowerCase()));
+  },
+
+  // CAP ranks; unknown/missing values sort last
+  _rankSeverity:  { Extreme: 4, Severe: 3, Moderate: 2, Minor: 1 },
+  _rankUrgency:   { Immediate: 4, Expected: 3, Future: 2, Past: 1 },
+  _rankCertainty: { Observed: 4, Likely: 3, Possible: 2, Unlikely: 1 },
+
+  // Sort comparator for { alert, region }: worst first
+  _compareAlerts(a, b, config) {
+    const pa = a.alert.properties || {}, pb = b.alert.properties || {};
+    const by = (table, k) => (table[pb[k]] || 0) - (table[pa[k]] || 0);
+    const typeIdx = (p) => {
+      const i = this._alertTypeIndex(p.event, config);
+      return i < 0 ? Number.MAX_SAFE_INTEGER : i;
+    };
+    return by(this._rankSeverity, "severity")
+        || by(this._rankUrgency, "urgency")
+        || by(this._rankCertainty, "certainty")
+        || typeIdx(pa) - typeIdx(pb);
+  },
+
+  /* ---------- alert lifecycle ---------- */
+  _alertId(alert) {
+    return String(alert?.properties?.id || alert?.id || alert?.properties?.event || "");
+  },
+
+  _regionName(region) {
+    return (region && typeof region === "object") ? (region.name || region.zone || `${region.lat},${region.lon}`) : region;
+  },
+
+  _alertKey(alert, region) {
+    return `${this._regionName(region)}|${this._alertId(alert)}`;
+  },
+
+  // NWS: [{ identifier, ... }]; CAP: "sender,identifier,sent sender,identifier,sent"
+  _alertReferences(alert) {
+    const refs = alert?.properties?.references;
+    if (Array.isArray(refs)) return refs.map(r => (typeof r === "string" ? r : (r.identifier || r["@id"]))).filter(Boolean);
+    if (typeof refs === "string" && refs.trim()) return refs.trim().split(/\s+/).map(t => t.split(",")[1]).filter(Boolean);
+    return [];
+  },
+
+  // "ends" is when the hazard is over; "expires" only when this message is
+  _alertEndTime(alert) {
+    const p = alert?.properties || {};
+    const t = Date.parse(p.ends || p.expires || "");
+    return Number.isFinite(t) ? t : null;
+  },
+
+  _isAlertOver(alert) {
+    if (alert?.properties?.messageType === "Cancel") return true;
+    const end = this._alertEndTime(alert);
+    return end !== null && end <= Date.now();
+  },
+
+  /* Reconcile this poll's alerts with what we've seen before. Returns true when something
+     deserves full attention: a brand-new alert, or one that updates/upgrades a known alert.
+     Superseded, cancelled and expired alerts are dropped; alerts gone from the feed are forgotten. */
+  _trackAlerts(poller, found) {
+    const now = Date.now();
+    const prev = poller.knownAlerts || {};
+    const next = {};
+    const consumed = {}; // prev keys carried over or superseded (everything else ended)
+    const events = [];
+    let attention = false;
+    const refKeys = (q) => this._alertReferences(q.alert).map(id => this._alertKey({ properties: { id } }, q.region));
+
+    // Anything referenced by another message in this poll was updated or cancelled by it
+    const replaced = {};
+    for (const q of found) refKeys(q).forEach(k => { replaced[k] = true; });
+
+    for (const q of found) {
+      const key = this._alertKey(q.alert, q.region);
+      if (replaced[key] || this._isAlertOver(q.alert)) continue;
+
+      if (prev[key]) {
+        next[key] = Object.assign(prev[key], { alert: q.alert, region: q.region, regionIndex: q.regionIndex, lastSeen: now });
+        consumed[key] = true;
+        continue;
+      }
+
+      const parentKey = refKeys(q).find(k => prev[k]);
+      const parent = parentKey ? prev[parentKey] : null;
+      const p = q.alert.properties || {}, pp = parent ? (parent.alert.properties || {}) : {};
+      const upgraded = !!parent && (
+        p.messageType === "Update" ||
+        p.event !== pp.event ||
+        (this._rankSeverity[p.severity] || 0) > (this._rankSeverity[pp.severity] || 0));
+
+      next[key] = {
+        alert: q.alert, region: q.region, regionIndex: q.regionIndex,
+        firstSeen: parent ? parent.firstSeen : now, lastSeen: now,
+        historyId: parent ? parent.historyId : `${poller.key}|${key}` // updates stay one history record
+      };
+      if (!parent || upgraded) attention = true;
+      if (parent) consumed[parentKey] = true;
+      events.push({ notification: parent ? "RADAR_ALERT_UPDATED" : "RADAR_ALERT_STARTED", key, entry: next[key], previous: parent ? parent.alert : null });
+    }
+
+    for (const k of Object.keys(prev)) {
+      if (!consumed[k]) events.push({ notification: "RADAR_ALERT_ENDED", key: k, entry: prev[k] });
+    }
+
+    poller.knownAlerts = next;
+    return { attention, events };
+  },
+
+  // Drop alerts whose ends/expires time passes between polls
+  _scheduleExpiryCheck(poller) {
+    if (poller.expiryTimer) { clearTimeout(poller.expiryTimer); poller.expiryTimer = null; }
+    const ends = poller.queue.map(q => this._alertEndTime(q.alert)).filter(t => t !== null);
+    if (!ends.length) return;
+    const delay = Math.min(Math.max(Math.min(...ends) - Date.now(), 0) + 1000, 2 ** 31 - 1);
+    poller.expiryTimer = setTimeout(() => {
+      poller.expiryTimer = null;
+      const events = [];
+      for (const k of Object.keys(poller.knownAlerts)) {
+        if (!this._isAlertOver(poller.knownAlerts[k].alert)) continue;
+        events.push({ notification: "RADAR_ALERT_ENDED", key: k, entry: poller.knownAlerts[k] });
+        delete poller.knownAlerts[k];
+      }
+      if (events.length) {
+        poller.queue = poller.queue.filter(q => poller.knownAlerts[this._alertKey(q.alert, q.region)]);
+        this._recordHistory(poller);
+      }
+      this._scheduleExpiryCheck(poller);
+      if (events.length) this._pushState(poller, { attention: false, events });
+    }, delay);
+  },
+
+  /* ---------- geometry matching ---------- */
+  _regionHasPoint(region) {
+    return !!region && typeof region === "object" && Number.isFinite(region.lat) && Number.isFinite(region.lon);
+  },
+
+  _alertAffectsRegion(alert, region, config) {
+    const required = (region && typeof region === "object" && typeof region.requireGeometryMatch === "boolean")
+      ? region.requireGeometryMatch : config.requireGeometryMatch;
+    if (!required || !alert?.geometry || !this._regionHasPoint(region)) return true;
+
+    if (this._pointInGeometry(region.lon, region.lat, alert.geometry)) return true;
+    const r = Number(region.radiusKm);
+    return r > 0 && this._distanceToGeometryKm(region.lon, region.lat, alert.geometry) <= r;
+  },
+
+  // Flatten Polygon / MultiPolygon / GeometryCollection into a list of polygons (arrays of rings)
+  _geometryPolygons(geom) {
+    if (!geom) return [];
+    if (geom.type === "Polygon") return [geom.coordinates];
+    if (geom.type === "MultiPolygon") return geom.coordinates;
+    if (geom.type === "GeometryCollection") return (geom.geometries || []).flatMap(g => this._geometryPolygons(g));
+    return [];
+  },
+
+  _pointInRing(x, y, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i], [xj, yj] = ring[j];
+      if (((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) inside = !inside;
+    }
+    return inside;
+  },
+
+  _pointInGeometry(lon, lat, geom) {
+    return this._geometryPolygons(geom).some(rings =>
+      rings.length && this._pointInRing(lon, lat, rings[0]) &&
+      !rings.slice(1).some(hole => this._pointInRing(lon, lat, hole)));
+  },
+
+  // Shortest distance (km) from the point to any polygon edge; equirectangular around the point
+  _distanceToGeometryKm(lon, lat, geom) {
+    const kx = 111.32 * Math.cos(lat * Math.PI / 180), ky = 110.57;
+    let best = Infinity;
+    for (const rings of this._geometryPolygons(geom)) {
+      for (const ring of rings) {
+        for (let i = 1; i < ring.length; i++) {
+          const ax = (ring[i - 1][0] - lon) * kx, ay = (ring[i - 1][1] - lat) * ky;
+          const bx = (ring[i][0] - lon) * kx,     by = (ring[i][1] - lat) * ky;
+          const dx = bx - ax, dy = by - ay;
+          const len2 = dx * dx + dy * dy;
+          const t = len2 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+          best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy));
+        }
+      }
+    }
+    return best;
+  },
+
+  /* ---------- alert provider registry ----------
+     A provider is (region, config) => Promise<alert[]>, where each alert is a GeoJSON-ish
+     feature: { id, provider, geometry, properties: { event, headline, description,
+     severity, urgency, certainty, onset, expires, ... } }. Providers return [] for
+     regions they don't apply to. */
+  registerAlertProvider(name, fn) {
+    if (!this.alertProviderRegistry) this.alertProviderRegistry = {};
+    this.alertProviderRegistry[name] = fn;
+  },
+
+  _registerDefaultAlertProviders() {
+    this.registerAlertProvider("nws",        (region, config) => this.fetchNwsAlerts(region, config));
+    this.registerAlertProvider("meteoalarm", (region, config) => this.fetchMeteoAlarmAlerts(region, config));
+    this.registerAlertProvider("custom",     (region, config) => this.fetchCustomAlerts(region, config));
+  },
+
+  /* ---------- NWS ---------- */
+  async fetchNwsAlerts(region, config) {
+    const zone = (typeof region === "string") ? region : region.zone;
+    let url;
+    if (zone) {
+      url = config.alertApiTemplateNWS.replace("{region}", zone);
+    } else if (this._regionHasPoint(region) && !region.meteoAlarmFeed && !region.customAlertSources) {
+      // MeteoAlarm/custom regions have lat/lon for the map only
+      // api.weather.gov rejects points with more than 4 decimals
+      url = config.alertApiTemplateNWSPoint
+        .replace("{lat}", Number(region.lat.toFixed(4)))
+        .replace("{lon}", Number(region.lon.toFixed(4)));
+    } else {
+      return [];
+    }
+    const res = await this.cachedFetch(url, config.proxyTTL);
+    if (!res.ok || !res.body) return [];
+    const json = JSON.parse(res.body);
+    const feats = Array.isArray(json.features) ? json.features : [];
+    return feats.map(f => {
+      const motion = this._parseStormMotion(f.properties?.parameters?.eventMotionDescription?.[0]);
+      if (motion) f.properties.motion = motion;
+      return Object.assign({ provider: "nws" }, f);
+    });
+  },
+
+  /* ---------- storm motion ----------
+     eventMotionDescription: "2024-05-07T22:48:00-00:00...storm...252DEG...28KT...3596 8632"
+     DEG is the direction the storm is moving FROM; LOC pairs are hundredths of a degree, west longitude positive.
+     → { time, heading, speedKmh, points: [[lat, lon], ...] } or null */
+  _parseStormMotion(text) {
+    const m = typeof text === "string" && text.match(/^\s*([^.]+?)\.\.\.[^.]*\.\.\.(\d{1,3})DEG\.\.\.(\d+)KT\.\.\.([\d\s]+?)\s*$/);
+    if (!m) return null;
+    const time = Date.parse(m[1]);
+    const nums = m[4].trim().split(/\s+/).map(Number);
+    const points = [];
+    for (let i = 0; i + 1 < nums.length; i += 2) points.push([nums[i] / 100, -nums[i + 1] / 100]);
+    if (!Number.isFinite(time) || !points.length) return null;
+    return {
+      time: new Date(time).toISOString(),
+      heading: (Number(m[2]) + 180) % 360,
+      speedKmh: Math.round(Number(m[3]) * 1.852),
+      points
+    };
+  },
+
+  /* ---------- MeteoAlarm (Atom/CAP feed) ---------- */
+  _meteoAlarmLevels: { 1: "Green", 2: "Yellow", 3: "Orange", 4: "Red" },
+  _meteoAlarmSeverity: { 2: "Moderate", 3: "Severe", 4: "Extreme" },
+  _meteoAlarmTypes: {
+    1: "Wind", 2: "Snow/Ice", 3: "Thunderstorm", 4: "Fog", 5: "High Temperature",
+    6: "Low Temperature", 7: "Coastal Event", 8: "Forest Fire", 9: "Avalanche",
+    10: "Rain", 12: "Flooding", 13: "Rain/Flood"
+  },
+
+  // Tiny tag extractor: tolerant of namespace prefixes (cap:, atom:), no DOM needed
+  _xmlBlocks(xml, tag) {
+    const re = new RegExp(`<(?:[\\w-]+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, "gi");
+    const out = [];
+    let m;
+    while ((m = re.exec(xml || ""))) out.push(m[1]);
+    return out;
+  },
+  _xmlDecode(s) {
+    return String(s || "")
+      .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+      .replace(/&lt;/g, "<").replace(/&gt;/g, ">")
+      .replace(/&quot;/g, "\"").replace(/&apos;/g, "'")
+      .replace(/&#(\d+);/g, (m, n) => String.fromCharCode(Number(n)))
+      .replace(/&amp;/g, "&")
+      .trim();
+  },
+  _xmlText(xml, tag) {
+    const b = this._xmlBlocks(xml, tag);
+    return b.length ? this._xmlDecode(b[0]) : "";
+  },
+  // CAP <parameter><valueName>k</valueName><value>v</value></parameter>
+  _xmlParam(xml, name) {
+    for (const p of this._xmlBlocks(xml, "parameter")) {
+      if (this._xmlText(p, "valueName").toLowerCase() === name) return this._xmlText(p, "value");
+    }
+    return "";
+  },
+
+  // "2; yellow; Moderate" / "3; thunderstorm" / legacy RSS "awt:3 level:2"
+  _parseMeteoAlarmEntry(entry) {
+    const levelRaw = this._xmlText(entry, "awareness_level") || this._xmlParam(entry, "awareness_level");
+    const typeRaw  = this._xmlText(entry, "awareness_type")  || this._xmlParam(entry, "awareness_type");
+    const legacy   = this._xmlDecode(this._xmlBlocks(entry, "description")[0] || "");
+    const level = parseInt(levelRaw, 10) || parseInt((legacy.match(/level:\s*(\d+)/i) || [])[1], 10) || 0;
+    const type  = parseInt(typeRaw, 10)  || parseInt((legacy.match(/awt:\s*(\d+)/i) || [])[1], 10) || 0;
+    if (level < 2) return null; // green = no warning
+
+    const color    = this._meteoAlarmLevels[level] || `Level ${level}`;
+    const typeName = this._meteoAlarmTypes[type] || (typeRaw.split(";")[1] || "").trim() || "Weather";
+    const event    = `${color} ${typeName.replace(/\b\w/g, c => c.toUpperCase())} Warning`;
+
+    const areaDesc = this._xmlText(entry, "areaDesc");
+    const onset    = this._xmlText(entry, "onset") || this._xmlText(entry, "effective") || null;
+    const expires  = this._xmlText(entry, "expires") || null;
+    const id       = this._xmlText(entry, "identifier") || this._xmlText(entry, "id") || `${event}|${areaDesc}|${onset}`;
+    const fmt = (t) => { const d = new Date(t); return isNaN(d) ? t : d.toLocaleString(); };
+    const span = [onset && `from ${fmt(onset)}`, expires && `until ${fmt(expires)}`].filter(Boolean).join(" ");
+
+    return {
+      id,
+      provider: "meteoalarm",
+      geometry: null,
+      properties: {
+        id,
+        event,
+        headline:    this._xmlText(entry, "title") || this._xmlText(entry, "headline") || event,
+        description: `${areaDesc}${span ? ` — ${span}` : ""}`,
+        areaDesc,
+        severity:    this._xmlText(entry, "severity") || this._meteoAlarmSeverity[level] || "Unknown",
+        urgency:     this._xmlText(entry, "urgency") || "Unknown",
+        certainty:   this._xmlText(entry, "certainty") || "Unknown",
+        messageType: this._xmlText(entry, "message_type") || this._xmlText(entry, "msgType") || "Alert",
+        onset,
+        expires,
+        awarenessLevel: level,
+        awarenessType:  type
+      }
+    };
+  },
+
+  async fetchMeteoAlarmAlerts(region, config) {
+    const feed = (region && typeof region === "object" && typeof region.meteoAlarmFeed === "string") ? region.meteoAlarmFeed.trim() : "";
+    if (!feed) return [];
+    try {
+      const res = await this.cachedFetch(feed, config.proxyTTL);
+      if (!res.ok || !res.body) return [];
+      const entries = this._xmlBlocks(res.body, "entry");
+      const items = entries.length ? entries : this._xmlBlocks(res.body, "item"); // old RSS feeds
+      const areas = [].concat(region.meteoAlarmArea || []).map(a => String(a).toLowerCase());
+      const now = Date.now();
+      return items.map(e => this._parseMeteoAlarmEntry(e)).filter(a => {
+        if (!a) return false;
+        if (a.properties.expires && Date.parse(a.properties.expires) < now) return false;
+        if (!areas.length) return true;
+        const desc = a.properties.areaDesc.toLowerCase();
+        return areas.some(x => desc.includes(x));
+      });
+    } catch (e) { console.error(`${this.name} MeteoAlarm check error:`, e); return []; }
+  },
+
+  /* ---------- Custom sources: CAP 1.2 XML or JSON/GeoJSON + field mapping ----------
+     region.customAlertSources: [
+       { url, format: "cap" },
+       { url, format: "json", itemsPath: "data.alerts",
+         fields: { id: "uid", event: "type", headline: "title", severity: "level", expires: "until" } }
+     ] */
+  _getPath(obj, path) {
+    if (!path) return undefined;
+    return String(path).split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+  },
+
+  // CAP "lat,lon lat,lon ..." → GeoJSON ring [[lon,lat], ...]
+  _capPolygonToRing(text) {
+    const ring = String(text || "").trim().split(/\s+/).map(pair => {
+      const [lat, lon] = pair.split(",").map(Number);
+      return (Number.isFinite(lat) && Number.isFinite(lon)) ? [lon, lat] : null;
+    }).filter(Boolean);
+    return ring.length >= 4 ? ring : null;
+  },
+
+  _parseCapAlert(xml, src) {
+    const identifier = this._xmlText(xml, "identifier");
+    const infos = this._xmlBlocks(xml, "info");
+    const lang = src.language ? String(src.language).toLowerCase() : null;
+    const info = (lang && infos.find(i => this._xmlText(i, "language").toLowerCase().startsWith(lang))) || infos[0] || xml;
+
+    const rings = [];
+    for (const area of this._xmlBlocks(info, "area")) {
+      for (const poly of this._xmlBlocks(area, "polygon")) {
+        const ring = this._capPolygonToRing(this._xmlDecode(poly));
+        if (ring) rings.push([ring]);
+      }
+    }
+    const areaDesc = this._xmlBlocks(info, "areaDesc").map(a => this._xmlDecode(a)).join("; ");
+    const event = this._xmlText(info, "event");
+    if (!event) return null;
+
+    const id = identifier || `${event}|${areaDesc}|${this._xmlText(info, "onset")}`;
+    return {
+      id,
+      provider: "custom",
+      geometry: rings.length === 1 ? { type: "Polygon", coordinates: rings[0] }
+              : rings.length > 1   ? { type: "MultiPolygon", coordinates: rings } : null,
+      properties: {
+        id,
+        event,
+        headline:    this._xmlText(info, "headline") || event,
+        description: this._xmlText(info, "description"),
+        areaDesc,
+        severity:    this._xmlText(info, "severity") || "Unknown",
+        urgency:     this._xmlText(info, "urgency") || "Unknown",
+        certainty:   this._xmlText(info, "certainty") || "Unknown",
+        messageType: this._xmlText(xml, "msgType") || "Alert",
+        references:  this._xmlText(xml, "references"),
+        sent:        this._xmlText(xml, "sent") || null,
+        onset:       this._xmlText(info, "onset") || this._xmlText(info, "effective") || null,
+        expires:     this._xmlText(info, "expires") || null,
+        motion:      this._parseStormMotion(this._xmlParam(info, "eventmotiondescription"))
+      }
+    };
+  },
+
+  _parseJsonAlerts(json, src) {
+    const items = src.itemsPath ? this._getPath(json, src.itemsPath)
+                : Array.isArray(json) ? json
+                : Array.isArray(json?.features) ? json.features : [];
+    if (!Array.isArray(items)) return [];
+
+    // Default mapping fits NWS-style GeoJSON; override any field via src.fields
+    const F = Object.assign({
+      id: "properties.id", event: "properties.event", headline: "properties.headline",
+      description: "properties.description", areaDesc: "properties.areaDesc",
+      severity: "properties.severity", urgency: "properties.urgency", certainty: "properties.certainty",
+      onset: "properties.onset", expires: "properties.expires", geometry: "geometry"
+    }, src.fields || {});
+
+    return items.map(item => {
+      const get = (k) => this._getPath(item, F[k]);
+      const event = get("event");
+      if (!event) return null;
+      const id = get("id") || item.id || `${event}|${get("areaDesc") || ""}|${get("onset") || ""}`;
+      const geom = get("geometry");
+      return {
+        id: String(id),
+        provider: "custom",
+        geometry: (geom && geom.type && geom.coordinates) ? geom : null,
+        properties: {
+          id: String(id),
+          event:       String(event),
+          headline:    get("headline") || String(event),
+          description: get("description") || "",
+          areaDesc:    get("areaDesc") || "",
+          severity:    get("severity") || "Unknown",
+          urgency:     get("urgency") || "Unknown",
+          certainty:   get("certainty") || "Unknown",
+          messageType: "Alert",
+          onset:       get("onset") || null,
+          expires:     get("expires") || null
+        }
+      };
+    }).filter(Boolean);
+  },
+
+  async fetchCustomAlerts(region, config) {
+    const sources = (region && typeof region === "object") ? [].concat(region.customAlertSources || []) : [];
+    const out = [];
+    const now = Date.now();
+    for (const src of sources) {
+      if (!src || typeof src.url !== "string" || !src.url.trim()) continue;
+      try {
+        const res = await this.cachedFetch(src.url, src.ttl || config.proxyTTL);
+        if (!res.ok || !res.body) continue;
+        const format = src.format || (/^\s*[[{]/.test(res.body) ? "json" : "cap");
+        let alerts;
+        if (format === "json") {
+          alerts = this._parseJsonAlerts(JSON.parse(res.body), src);
+        } else {
+          // single <alert>, a batch of them, or an Atom feed with embedded CAP
+          let blocks = this._xmlBlocks(res.body, "alert");
+          if (!blocks.length) blocks = this._xmlBlocks(res.body, "entry");
+          alerts = blocks.map(b => this._parseCapAlert(b, src)).filter(Boolean);
+        }
+        for (const a of alerts) {
+          if (a.properties.messageType === "Cancel") continue;
+          if (a.properties.expires && Date.parse(a.properties.expires) < now) continue;
+          if (src.name) a.properties.source = src.name;
+          out.push(a);
+        }
+      } catch (e) { console.error(`${this.name} custom source ${src.url} error:`, e); }
     }
+    return out;
   },
 
   socketNotificationReceived: async function (notification, payload) {
-    if (notification === "RADAR_ALERT_PROXY_FETCH") {
-      const { id, url, ttl = 60 * 1000 } = payload;
+    if (notification === "RADAR_ALERT_REGISTER") {
+      if (payload.apiKeyRequired && !this.apiKeyRequired) {
+        this.apiKeyRequired = true;
+        if (!this.apiKeys.size) console.warn(`${this.name} httpApiKey is set but not readable from config.js; HTTP API closed until MMM_RADARALERT_API_KEY is set`);
+      }
+      if (payload.tileCache) this.configureTileCache(payload.tileCache);
+      if (payload.fetch) this.configureFetch(payload.fetch);
+      if (payload.history) this.configureHistory(payload.history);
+      this.registerClient(payload.identifier, payload.config || {});
+      if (payload.simulation && !this._simConfigStarted.has(payload.simulation.file)) {
+        this._simConfigStarted.add(payload.simulation.file);
+        try { this.startSimulation(payload.simulation); }
+        catch (e) { console.error(`${this.name} simulation:`, e.message); this._simBroadcast(e.message); }
+      }
+    } else if (notification === "RADAR_ALERT_SIMULATE") {
+      try {
+        if (payload.stop) this.stopSimulation("stopped");
+        else this.startSimulation(payload);
+      } catch (e) { console.error(`${this.name} simulation:`, e.message); this._simBroadcast(e.message); }
+    } else if (notification === "RADAR_ALERT_ACK") {
+      this.acknowledge(payload.poller, payload.keys);
+    } else if (notification === "RADAR_ALERT_MARK") {
+      this.markHistory(payload.poller, payload.keys, payload.mark);
+    } else if (notification === "RADAR_ALERT_PROXY_FETCH") {
+      const { identifier, id, url, ttl = 60 * 1000 } = payload;
       const res = await this.cachedFetch(url, ttl);
-      this.sendSocketNotification("RADAR_ALERT_PROXY_RESULT", { id, result: res });
+      this.sendSocketNotification("RADAR_ALERT_PROXY_RESULT", { identifier, id, result: res });
     }
   }
 });
-
-
-//   // called by MagicMirror to allow modules to expose HTTP endpoints
-//   getApp: function () {
-//     if (!this.expressApp) {
-//       this.expressApp = express();
-//     }
-//     return this.expressApp;
-//   },
-
-//   // MagicMirror calls this when it mounts module's app
-//   // But for compatibility, define a small server mount method:
-//   // Note: MagicMirror module loader will mount this express app at /modules/<moduleName>
-//   // to expose endpoints under that path. We'll keep a simple handler below.
-//   // The exact mount mechanism varies; alternative: use this.expressApp in start().
-// });